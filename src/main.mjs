@@ -1,5 +1,5 @@
 import { createRequire } from 'module'
-import { join, dirname, normalize } from 'path'
+import { join, dirname, normalize, relative, isAbsolute, basename } from 'path'
 import { fileURLToPath } from 'url'
 
 const require = createRequire(import.meta.url)
@@ -13,13 +13,14 @@ if (!electron || !electron.app) {
   console.error('Try: npm install electron@latest')
   process.exit(1)
 }
-const { app, BrowserWindow, Menu, ipcMain, shell } = electron
+const { app, BrowserWindow, Menu, ipcMain, shell, dialog } = electron
 import express from 'express'
 import cors from 'cors'
-import { exec } from 'child_process'
+import { exec, spawn } from 'child_process'
 import { promisify } from 'util'
-import { writeFile, mkdir, rm } from 'fs/promises'
-import { existsSync } from 'fs'
+import { createHash } from 'crypto'
+import { writeFile, readFile, readdir, lstat, mkdir, rm, cp, copyFile, rename } from 'fs/promises'
+import { existsSync, rmSync } from 'fs'
 import { SerialPort } from 'serialport'
 import { ReadlineParser } from '@serialport/parser-readline'
 
@@ -35,6 +36,8 @@ const PORT = 3000
 const serialConnections = new Map()
 // Store serial data buffers for polling
 const serialDataBuffers = new Map()
+// Store in-flight compile/upload builds so they can be cancelled
+const activeBuilds = new Map()
 
 // Start Express server
 async function startServer() {
@@ -135,6 +138,115 @@ async function startServer() {
   await mkdir(tempDir, { recursive: true })
   await mkdir(uploadsDir, { recursive: true })
 
+  // Private arduino-cli environment - cores, libraries and downloads live under userData instead of
+  // the user's global Arduino folders, so an Arduino IDE on the same machine is left alone. Every
+  // arduino-cli call is given the app's own --config-file (see cliArgs / cliCommand).
+  // Offline bundles are imported into these folders.
+  const arduinoRoot = join(app.getPath('userData'), 'arduino-cli')
+  const arduinoConfigFile = join(arduinoRoot, 'arduino-cli.yaml')
+  const arduinoDirs = {
+    data: join(arduinoRoot, 'data'),
+    downloads: join(arduinoRoot, 'downloads'),
+    user: join(arduinoRoot, 'user')
+  }
+
+  // Prefix arduino-cli arguments with the app's config file
+  function cliArgs(args) {
+    return ['--config-file', arduinoConfigFile, ...args]
+  }
+
+  // Build an arduino-cli command line for execAsync
+  function cliCommand(arduinoCLI, args) {
+    return `"${arduinoCLI}" --config-file "${arduinoConfigFile}" ${args}`
+  }
+
+  // Persistent build cache - each project gets a stable sketch folder and build path so
+  // arduino-cli can reuse compiled objects, and compiled cores are shared through the core cache.
+  // A small edit then only recompiles the sketch. Wiped with /api/build/clean.
+  const buildCacheDir = join(app.getPath('userData'), 'build-cache')
+  const coreCacheDir = join(buildCacheDir, 'core-cache')
+  await mkdir(coreCacheDir, { recursive: true })
+
+  // Turn a project name into a safe folder name
+  function sanitizeProjectName(project) {
+    return (project || 'default').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'default'
+  }
+
+  // Builds copy the editor buffers into a folder with this name; the main tab becomes <name>.ino
+  const BUILD_SKETCH_NAME = 'sketch'
+
+  // Paths used to build a project for a board. The cache folder is keyed on the sketch folder
+  // (or the raw name of an unsaved project) as well as the readable name, so two projects called
+  // "Blink" - or "my project" and "my_project" - never share cached objects.
+  function getBuildPaths(project, board = '', projectPath = null) {
+    const key = createHash('sha1').update(projectPath || `untitled:${project || 'default'}`).digest('hex').slice(0, 8)
+    const projectDir = join(buildCacheDir, 'projects', `${sanitizeProjectName(project)}-${key}`)
+    return {
+      projectDir,
+      sketchDir: join(projectDir, BUILD_SKETCH_NAME),
+      buildPath: join(projectDir, 'build', board.replace(/[^a-zA-Z0-9_-]/g, '_'))
+    }
+  }
+
+  // Extra sketch files (tabs) a project may contain, next to the main .ino
+  const SKETCH_FILE_PATTERN = /^(?:[A-Za-z0-9_][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_][A-Za-z0-9_.-]*\.(ino|h|hpp|c|cpp|S)$/
+
+  // Check the extra files sent with a build request. Returns an error message, or null when valid.
+  function validateSketchFiles(files) {
+    if (files === undefined) return null
+    if (!Array.isArray(files)) return 'files must be an array of { name, content }'
+
+    const names = new Set()
+    for (const file of files) {
+      if (!file || typeof file.name !== 'string' || typeof file.content !== 'string') {
+        return 'Each file needs a name and content'
+      }
+      if (!SKETCH_FILE_PATTERN.test(file.name)) {
+        return `Invalid file name: ${file.name} (use letters, numbers, _ - . and a .ino/.h/.cpp/.c extension)`
+      }
+      if (names.has(file.name.toLowerCase())) {
+        return `Duplicate file name: ${file.name}`
+      }
+      // The main tab is written as <BUILD_SKETCH_NAME>.ino - an extra tab with that name would replace it
+      if (file.name.toLowerCase() === `${BUILD_SKETCH_NAME}.ino`) {
+        return `${file.name} is reserved for the main sketch file - rename that tab`
+      }
+      names.add(file.name.toLowerCase())
+    }
+    return null
+  }
+
+  // Write the editor buffers into the project's sketch folder. The folder is rewritten from
+  // scratch so files deleted in the editor do not linger in the build.
+  async function writeSketch(sketchDir, code, files = []) {
+    const mainFile = `${basename(sketchDir)}.ino`
+    await rm(sketchDir, { recursive: true, force: true })
+    await mkdir(sketchDir, { recursive: true })
+    // Arduino CLI requires the main file to have the same name as the folder
+    await writeFile(join(sketchDir, mainFile), code, 'utf8')
+
+    // validateSketchFiles has refused an extra tab named like the main file
+    for (const file of files) {
+      const filePath = join(sketchDir, ...file.name.split('/'))
+      await mkdir(dirname(filePath), { recursive: true })
+      await writeFile(filePath, file.content, 'utf8')
+    }
+  }
+
+  // Remove a build path - used after a cancelled build, which may have left half-written objects
+  async function removeBuildPath(buildPath) {
+    try {
+      await rm(buildPath, { recursive: true, force: true })
+    } catch (cleanupError) {
+      console.error('Cleanup error:', cleanupError)
+    }
+  }
+
+  // Check whether a compile/upload is already running for this sketch folder
+  function isSketchBuilding(sketchDir) {
+    return [...activeBuilds.values()].some(build => build.sketchDir === sketchDir)
+  }
+
   // Helper function to find Arduino CLI
   async function findArduinoCLI() {
     // First, try to find bundled Arduino CLI
@@ -266,241 +378,1719 @@ async function startServer() {
     }
   }
 
+  // Parse the "Sketch uses ..." / "Global variables use ..." lines printed by arduino-cli compile
+  function parseSketchUsage(output) {
+    const usage = { flash: null, ram: null }
+    if (!output) return usage
+
+    const flashMatch = output.match(/Sketch uses (\d+) bytes.*?Maximum is (\d+) bytes/)
+    if (flashMatch) {
+      usage.flash = {
+        used: parseInt(flashMatch[1]),
+        max: parseInt(flashMatch[2])
+      }
+    }
+
+    const ramMatch = output.match(/Global variables use (\d+) bytes.*?Maximum is (\d+) bytes/)
+    if (ramMatch) {
+      usage.ram = {
+        used: parseInt(ramMatch[1]),
+        max: parseInt(ramMatch[2])
+      }
+    }
+
+    return usage
+  }
+
+  // Parse GCC "file:line:col: error: message" diagnostics from compiler output.
+  // Paths inside the temp sketch directory are made relative so the renderer can map them back
+  // to the editor buffer; anything else (core or library headers) keeps its absolute path.
+  function parseCompilerDiagnostics(output, sketchDir) {
+    const diagnostics = []
+    if (!output) return diagnostics
+
+    const pattern = /^(.+?):(\d+)(?::(\d+))?:\s+(fatal error|error|warning|note):\s+(.*)$/gm
+    const seen = new Set()
+    let match
+
+    while ((match = pattern.exec(output)) !== null) {
+      const [, filePath, line, column, severity, message] = match
+      const relativePath = sketchDir ? relative(sketchDir, filePath.trim()) : ''
+      const inSketch = !!relativePath && !relativePath.startsWith('..') && !isAbsolute(relativePath)
+
+      const key = `${filePath}:${line}:${column}:${message}`
+      if (seen.has(key)) continue
+      seen.add(key)
+
+      diagnostics.push({
+        file: inSketch ? relativePath.replace(/\\/g, '/') : filePath.trim(),
+        inSketch,
+        main: inSketch && relativePath === `${basename(sketchDir)}.ino`,
+        line: parseInt(line),
+        column: column ? parseInt(column) : 1,
+        severity: severity === 'fatal error' ? 'error' : severity,
+        message: message.trim()
+      })
+    }
+
+    return diagnostics
+  }
+
   // API Routes
+  // Known E-Blocks USB IDs (VID 12BF appears to be E-Blocks specific) - add more as discovered
+  const EBLOCKS_USB_IDS = [
+    { vendorId: '12BF', productId: '0030', fqbn: 'arduino:avr:mega' }
+  ]
+
+  // Work out the FQBN of an E-Blocks board from its USB IDs, or from the device name
+  // when the E-Blocks driver is installed. Returns null for anything else.
+  function detectEBlocksFQBN({ vendorId, productId, names }) {
+    const known = EBLOCKS_USB_IDS.find(ids => ids.vendorId === vendorId && ids.productId === productId)
+    if (known) return known.fqbn
+
+    const combined = names.join(' ').toLowerCase()
+    if (combined.includes('eblocks')) {
+      if (combined.includes('mega') || combined.includes('ard')) return 'arduino:avr:mega'
+      if (combined.includes('esp32')) return 'esp32:esp32:esp32'
+      if (combined.includes('pic')) return 'pic'
+    }
+    return null
+  }
+
+  // Normalise a USB id ("0x12bf", "12bf") to 4 upper-case hex digits
+  function normalizeUsbId(id) {
+    return id ? id.replace(/^0x/i, '').toUpperCase().padStart(4, '0') : ''
+  }
+
+  // List ports with the boards attached to them. Merges `arduino-cli board list --format json`
+  // (board name, FQBN, protocol) with SerialPort.list() (USB VID/PID, serial number, driver name),
+  // so it keeps working when arduino-cli is missing. Each port:
+  // { port, label, protocol, board, fqbn, eblocks, serialNumber, usbInfo }
+  async function listBoardPorts(arduinoCLI) {
+    const ports = new Map()
+
+    let cliPorts = []
+    if (arduinoCLI) {
+      try {
+        const { stdout } = await execAsync(cliCommand(arduinoCLI, 'board list --format json'), { timeout: 10000 })
+        const parsed = JSON.parse(stdout || '[]')
+        // Older arduino-cli versions print a bare array, newer ones wrap it in { detected_ports: [...] }
+        cliPorts = Array.isArray(parsed) ? parsed : (parsed.detected_ports || [])
+      } catch (error) {
+        console.warn('arduino-cli board list failed, using SerialPort.list() only:', error.message)
+      }
+    }
+
+    for (const detected of cliPorts) {
+      const port = detected.port || {}
+      if (!port.address) continue
+      const properties = port.properties || {}
+      const match = (detected.matching_boards || detected.boards || [])[0]
+
+      ports.set(port.address, {
+        port: port.address,
+        label: port.label || port.address,
+        protocol: port.protocol || 'serial',
+        board: match ? match.name : null,
+        fqbn: match && match.fqbn ? match.fqbn : null,
+        eblocks: false,
+        serialNumber: properties.serialNumber || null,
+        usbInfo: properties.vid
+          ? { vendorId: normalizeUsbId(properties.vid), productId: normalizeUsbId(properties.pid) }
+          : null
+      })
+    }
+
+    let serialPorts = []
+    try {
+      serialPorts = await SerialPort.list()
+    } catch (error) {
+      console.error('Error getting ports from SerialPort:', error)
+      if (ports.size === 0) throw error
+    }
+
+    for (const info of serialPorts) {
+      const existing = ports.get(info.path)
+      const usbInfo = {
+        vendorId: normalizeUsbId(info.vendorId),
+        productId: normalizeUsbId(info.productId),
+        manufacturer: info.manufacturer,
+        product: info.product,
+        pnpId: info.pnpId,
+        serialNumber: info.serialNumber,
+        friendlyName: info.friendlyName
+      }
+
+      ports.set(info.path, {
+        port: info.path,
+        label: existing ? existing.label : info.path,
+        protocol: existing ? existing.protocol : 'serial',
+        board: existing ? existing.board : null,
+        fqbn: existing ? existing.fqbn : null,
+        eblocks: false,
+        serialNumber: info.serialNumber || (existing && existing.serialNumber) || null,
+        usbInfo
+      })
+    }
+
+    // E-Blocks boards report a generic USB serial chip to arduino-cli, so their IDs win
+    for (const port of ports.values()) {
+      const usbInfo = port.usbInfo || {}
+      const eblocksFQBN = detectEBlocksFQBN({
+        vendorId: usbInfo.vendorId,
+        productId: usbInfo.productId,
+        names: [usbInfo.friendlyName, usbInfo.product, usbInfo.manufacturer, usbInfo.pnpId].filter(Boolean)
+      })
+      if (eblocksFQBN) {
+        port.eblocks = true
+        port.fqbn = eblocksFQBN
+        port.board = port.board || (eblocksFQBN === 'arduino:avr:mega' ? 'E-Blocks Arduino Mega' : 'E-Blocks')
+      }
+      port.board = port.board || usbInfo.friendlyName || usbInfo.manufacturer || 'Unknown'
+    }
+
+    return [...ports.values()]
+  }
+
+  // Pick the port to upload to when none was chosen: an E-Blocks board or detected board
+  // for this FQBN first, then any detected board, then the first serial port
+  function pickUploadPort(ports, fqbn) {
+    const serialPorts = ports.filter(port => port.protocol === 'serial')
+    const core = fqbn.split(':').slice(0, 2).join(':')
+    const sameCore = (port) => port.fqbn && port.fqbn.startsWith(`${core}:`)
+    return serialPorts.find(port => port.eblocks && sameCore(port)) ||
+      serialPorts.find(sameCore) ||
+      serialPorts.find(port => port.eblocks || port.fqbn) ||
+      serialPorts[0] ||
+      null
+  }
+
   serverApp.get('/api/ports', async (req, res) => {
     try {
-      const arduinoCLI = await findArduinoCLI()
+      const arduinoCLI = await findArduinoCLI().catch(() => null)
       if (!arduinoCLI) {
-        console.warn('Arduino CLI not found - using SerialPort.list() as fallback')
-        // Still return ports from SerialPort.list() even if Arduino CLI is not available
-        try {
-          const portList = await SerialPort.list()
-          console.log('Found', portList.length, 'ports via SerialPort.list()')
-          const ports = portList.map(port => {
-            // Try to detect board type from USB info
-            let detectedFQBN = null
-            const vendorId = (port.vendorId || '').toUpperCase()
-            const productId = (port.productId || '').toUpperCase()
-            
-            // E-Blocks detection
-            if (vendorId === '12BF' && productId === '0030') {
-              detectedFQBN = 'arduino:avr:mega'
-              console.log('Detected E-Blocks Arduino Mega from VID/PID:', vendorId, productId)
-            }
-            
-            return {
-              port: port.path,
-              board: port.friendlyName || port.manufacturer || 'Unknown',
-              fqbn: detectedFQBN,
-              usbInfo: {
-                vendorId: port.vendorId,
-                productId: port.productId,
-                manufacturer: port.manufacturer,
-                product: port.product,
-                pnpId: port.pnpId,
-                serialNumber: port.serialNumber,
-                friendlyName: port.friendlyName
-              }
-            }
-          })
-          return res.json({ success: true, ports })
-        } catch (serialError) {
-          console.error('Error getting ports from SerialPort:', serialError)
-          console.error('SerialPort error stack:', serialError.stack)
-          return res.status(500).json({ 
-            success: false, 
-            error: 'Failed to get serial ports: ' + serialError.message 
-          })
-        }
+        console.warn('Arduino CLI not found - using SerialPort.list() only')
       }
-      
-      console.log('Using Arduino CLI:', arduinoCLI)
-      const { stdout } = await execAsync(`"${arduinoCLI}" board list`, { timeout: 10000 })
-      
-      const ports = []
-      const lines = stdout.split('\n').slice(1)
-      
-      for (const line of lines) {
-        if (line.trim()) {
-          const parts = line.trim().split(/\s+/)
-          if (parts.length >= 2) {
-            const portName = parts[0]
-            const boardName = parts.slice(1).join(' ') || 'Unknown'
-            const fqbn = parts.find(p => p.includes(':')) || null
-            
-            // Try to get more details using arduino-cli board details
-            let detectedFQBN = fqbn
-            let usbInfo = null
-            
-            // Get USB VID/PID from serialport if available
-            try {
-              const portList = await SerialPort.list()
-              const portInfo = portList.find(p => p.path === portName)
-              if (portInfo) {
-                usbInfo = {
-                  vendorId: portInfo.vendorId,
-                  productId: portInfo.productId,
-                  manufacturer: portInfo.manufacturer,
-                  product: portInfo.product,
-                  pnpId: portInfo.pnpId,
-                  serialNumber: portInfo.serialNumber,
-                  friendlyName: portInfo.friendlyName
-                }
-                
-                // Log full port info for debugging
-                console.log('Full port info for', portName, ':', JSON.stringify(portInfo, null, 2))
-                
-                // Try to identify E-Blocks boards using multiple methods
-                // Method 1: Check VID/PID - E-Blocks boards have specific vendor/product IDs
-                const vendorId = (portInfo.vendorId || '').toUpperCase()
-                const productId = (portInfo.productId || '').toUpperCase()
-                
-                // Known E-Blocks VID/PID combinations
-                // VID 12BF appears to be E-Blocks specific
-                const eblocksVIDs = ['12BF'] // Add more as discovered
-                const eblocksArduinoMegaPIDs = ['0030'] // Add more as discovered
-                const eblocksESP32PIDs = [] // Add ESP32 PIDs when discovered
-                const eblocksPICPIDs = [] // Add PIC PIDs when discovered
-                
-                if (eblocksVIDs.includes(vendorId)) {
-                  if (eblocksArduinoMegaPIDs.includes(productId)) {
-                    detectedFQBN = 'arduino:avr:mega'
-                    console.log('Detected E-Blocks Arduino Mega from VID/PID:', vendorId, productId)
-                  } else if (eblocksESP32PIDs.includes(productId)) {
-                    detectedFQBN = 'esp32:esp32:esp32'
-                    console.log('Detected E-Blocks ESP32 from VID/PID:', vendorId, productId)
-                  } else if (eblocksPICPIDs.includes(productId)) {
-                    detectedFQBN = 'pic'
-                    console.log('Detected E-Blocks PIC from VID/PID:', vendorId, productId)
-                  }
-                }
-                
-                // Method 2: Check serial number pattern - E-Blocks serials often start with "EB"
-                if (!detectedFQBN && portInfo.serialNumber) {
-                  const serial = portInfo.serialNumber.toUpperCase()
-                  if (serial.startsWith('EB')) {
-                    // E-Blocks serial number detected, try to determine type from other clues
-                    // For now, default to Arduino Mega if we can't determine
-                    // Could be enhanced with more specific patterns
-                    console.log('Detected E-Blocks board from serial number pattern:', serial)
-                    // We'll use friendlyName or other methods to determine specific type
-                  }
-                }
-                
-                // Method 3: Check friendlyName, product name, manufacturer, or pnpId for keywords
-                // This works if E-Blocks driver is installed
-                if (!detectedFQBN) {
-                  const friendlyName = (portInfo.friendlyName || '').toLowerCase()
-                  const productName = (portInfo.product || '').toLowerCase()
-                  const manufacturer = (portInfo.manufacturer || '').toLowerCase()
-                  const pnpId = (portInfo.pnpId || '').toLowerCase()
-                  const combined = `${friendlyName} ${productName} ${manufacturer} ${pnpId}`
-                  
-                  if (combined.includes('eblocks') || combined.includes('eblocks3')) {
-                    if (combined.includes('mega') || combined.includes('ard')) {
-                      detectedFQBN = 'arduino:avr:mega'
-                      console.log('Detected E-Blocks Arduino Mega from device name (friendlyName:', portInfo.friendlyName, ')')
-                    } else if (combined.includes('esp32')) {
-                      detectedFQBN = 'esp32:esp32:esp32'
-                      console.log('Detected E-Blocks ESP32 from device name')
-                    } else if (combined.includes('pic')) {
-                      detectedFQBN = 'pic'
-                      console.log('Detected E-Blocks PIC from device name')
-                    }
-                  }
-                }
-                
-                // Method 4: If we detected it's an E-Blocks board (by VID or serial) but don't know the type,
-                // and we have VID 12BF with PID 0030, it's likely Arduino Mega based on current evidence
-                if (!detectedFQBN && vendorId === '12BF' && productId === '0030') {
-                  detectedFQBN = 'arduino:avr:mega'
-                  console.log('Detected E-Blocks Arduino Mega from known VID/PID combination (12BF:0030)')
-                }
-              }
-            } catch (serialError) {
-              console.log('Could not get USB info for', portName, ':', serialError.message)
-            }
-            
-            // If no FQBN from Arduino CLI, try board details command
-            if (!detectedFQBN && portName) {
-              try {
-                const { stdout: detailsStdout } = await execAsync(`"${arduinoCLI}" board details -p ${portName}`, { timeout: 5000 })
-                // Parse FQBN from board details output
-                const fqbnMatch = detailsStdout.match(/FQBN:\s*([^\s]+)/i)
-                if (fqbnMatch) {
-                  detectedFQBN = fqbnMatch[1]
-                }
-              } catch (detailsError) {
-                // Board details might not work for all boards, that's okay
-                console.log('Could not get board details for', portName)
-              }
-            }
-            
-            ports.push({
-              port: portName,
-              board: boardName,
-              fqbn: detectedFQBN,
-              usbInfo: usbInfo
-            })
-          }
-        }
+
+      const ports = await listBoardPorts(arduinoCLI)
+      for (const port of ports) {
+        console.log('Port detected:', port.port, 'Board:', port.board, 'FQBN:', port.fqbn, 'Protocol:', port.protocol)
       }
-      
       res.json({ success: true, ports })
     } catch (error) {
       console.error('Error getting ports:', error)
-      console.error('Error message:', error.message)
-      console.error('Error stack:', error.stack)
-      
-      // Try to fallback to SerialPort.list() if Arduino CLI fails
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to get serial ports: ' + error.message 
+      })
+    }
+  })
+
+  // Kill a child process and everything it started (arduino-cli runs avrdude/esptool as its own children)
+  function killProcessTree(child) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return
+
+    if (process.platform === 'win32') {
+      exec(`taskkill /pid ${child.pid} /T /F`, (error) => {
+        if (error) console.error('taskkill failed:', error.message)
+      })
+    } else {
       try {
-        console.log('Falling back to SerialPort.list() due to error:', error.message)
-        const portList = await SerialPort.list()
-        console.log('Found', portList.length, 'ports via SerialPort.list() fallback')
-        const ports = portList.map(port => {
-          // Try to detect board type from USB info
-          let detectedFQBN = null
-          const vendorId = (port.vendorId || '').toUpperCase()
-          const productId = (port.productId || '').toUpperCase()
-          
-          // E-Blocks detection
-          if (vendorId === '12BF' && productId === '0030') {
-            detectedFQBN = 'arduino:avr:mega'
-            console.log('Detected E-Blocks Arduino Mega from VID/PID:', vendorId, productId)
-          }
-          
-          return {
-            port: port.path,
-            board: port.friendlyName || port.manufacturer || 'Unknown',
-            fqbn: detectedFQBN,
-            usbInfo: {
-              vendorId: port.vendorId,
-              productId: port.productId,
-              manufacturer: port.manufacturer,
-              product: port.product,
-              pnpId: port.pnpId,
-              serialNumber: port.serialNumber,
-              friendlyName: port.friendlyName
-            }
-          }
+        // Negative pid kills the whole process group (child is spawned detached)
+        process.kill(-child.pid, 'SIGTERM')
+      } catch (error) {
+        child.kill('SIGTERM')
+      }
+    }
+  }
+
+  // Run a command (usually arduino-cli) as a child process, passing output to onOutput as it arrives.
+  // Resolves/rejects with the same { stdout, stderr } shape as execAsync so callers can treat them alike.
+  function runProcess(command, args, { timeout = 120000, onOutput, onSpawn, env, cwd, input } = {}) {
+    const toolName = basename(command).replace(/\.exe$/i, '')
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd,
+        windowsHide: true,
+        detached: process.platform !== 'win32',
+        env: env ? { ...process.env, ...env } : process.env
+      })
+      let stdout = ''
+      let stderr = ''
+      let timedOut = false
+
+      if (onSpawn) onSpawn(child)
+      if (input !== undefined) child.stdin.end(input)
+
+      const timer = setTimeout(() => {
+        timedOut = true
+        killProcessTree(child)
+      }, timeout)
+
+      child.stdout.on('data', (chunk) => {
+        const text = chunk.toString()
+        stdout += text
+        if (onOutput) onOutput(text, 'stdout')
+      })
+
+      child.stderr.on('data', (chunk) => {
+        const text = chunk.toString()
+        stderr += text
+        if (onOutput) onOutput(text, 'stderr')
+      })
+
+      child.on('error', (error) => {
+        clearTimeout(timer)
+        error.stdout = stdout
+        error.stderr = stderr
+        reject(error)
+      })
+
+      child.on('close', (code) => {
+        clearTimeout(timer)
+        if (code === 0 && !timedOut) {
+          resolve({ stdout, stderr })
+          return
+        }
+        const error = new Error(timedOut
+          ? `${toolName} ${args[0]} timed out after ${timeout / 1000} seconds`
+          : `${toolName} ${args[0]} failed with exit code ${code}`)
+        error.code = code
+        error.killed = timedOut
+        error.stdout = stdout
+        error.stderr = stderr
+        reject(error)
+      })
+    })
+  }
+
+  // Report build progress to the renderer.
+  // With ?stream=1 the response is a Server-Sent Events stream of "start", "stage", "log" and "result"
+  // events, otherwise a single JSON response is sent when the build finishes.
+  // Each build is registered in activeBuilds until it finishes so /api/build/cancel can stop it.
+  function createBuildReporter(req, res) {
+    const streaming = req.query.stream === '1'
+    const id = `build_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+    let log = ''
+    let finished = false
+    let resolveFinished
+    const finishedPromise = new Promise(resolve => { resolveFinished = resolve })
+
+    if (streaming) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      })
+    }
+
+    function send(event, data) {
+      if (streaming && !res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+      }
+    }
+
+    const reporter = {
+      id,
+      cancelled: false,
+      child: null,
+      port: null,
+      sketchDir: null,
+      monitor: null,
+      stage(stage, state, label) {
+        send('stage', { stage, state, label })
+      },
+      output(text, stream = 'stdout') {
+        log += text
+        send('log', { text, stream })
+      },
+      finish(status, body) {
+        if (finished) return
+        finished = true
+        activeBuilds.delete(id)
+        const payload = { ...body, log }
+        if (streaming) {
+          send('result', { status, ...payload })
+          res.end()
+        } else {
+          res.status(status).json(payload)
+        }
+        resolveFinished()
+      },
+      // Kill the running arduino-cli step and wait (up to 10 s) for the route to clean up
+      cancel() {
+        if (!finished && !reporter.cancelled) {
+          console.log(`Cancelling build ${id}...`)
+          reporter.cancelled = true
+          reporter.output('\nCancelling...\n', 'stderr')
+          killProcessTree(reporter.child)
+        }
+        return Promise.race([
+          finishedPromise,
+          new Promise(resolve => setTimeout(resolve, 10000))
+        ])
+      }
+    }
+
+    activeBuilds.set(id, reporter)
+    send('start', { buildId: id })
+
+    // Stop the build if the renderer goes away (page reload, window closed)
+    res.on('close', () => {
+      if (!finished) reporter.cancel()
+    })
+
+    return reporter
+  }
+
+  // Error thrown when a build stage is skipped or killed because the build was cancelled
+  function buildCancelledError() {
+    const error = new Error('Build cancelled')
+    error.cancelled = true
+    return error
+  }
+
+  // Run one build stage (update-index, core install, compile, upload) and report its progress.
+  // Optional stages log a warning and carry on instead of failing the whole build.
+  async function runBuildStage(reporter, command, { stage, label, args, timeout, optional = false, env, cwd }) {
+    if (reporter.cancelled) {
+      reporter.stage(stage, 'cancelled', label)
+      throw buildCancelledError()
+    }
+
+    reporter.stage(stage, 'running', label)
+    reporter.output(`\n> ${basename(command).replace(/\.exe$/i, '')} ${args.join(' ')}\n`)
+    try {
+      const result = await runProcess(command, args, {
+        timeout,
+        env,
+        cwd,
+        onOutput: (text, stream) => reporter.output(text, stream),
+        onSpawn: (child) => { reporter.child = child }
+      })
+      reporter.child = null
+      reporter.stage(stage, 'done', label)
+      return result
+    } catch (error) {
+      reporter.child = null
+      if (reporter.cancelled) {
+        reporter.stage(stage, 'cancelled', label)
+        throw buildCancelledError()
+      }
+      if (optional) {
+        console.warn(`${label} failed, continuing...`, error.message)
+        reporter.output(`${label} failed, continuing: ${error.message}\n`, 'stderr')
+        reporter.stage(stage, 'warning', label)
+        return null
+      }
+      reporter.stage(stage, 'failed', label)
+      throw error
+    }
+  }
+
+  // Board cores the app builds for. The ESP32 core comes from Espressif's own package index.
+  const BOARD_CORES = [
+    { id: 'arduino:avr', name: 'Arduino AVR Boards (Mega)' },
+    { id: 'esp32:esp32', name: 'ESP32 (Espressif)', indexUrl: 'https://espressif.github.io/arduino-esp32/package_esp32_index.json' }
+  ]
+
+  // Write the app's arduino-cli.yaml and create its folders. The config also carries the extra
+  // package index URLs needed to find non-Arduino cores. Strings are written JSON-quoted, which
+  // YAML reads as double-quoted scalars (keeps Windows backslashes intact).
+  async function writeArduinoConfig() {
+    for (const dir of Object.values(arduinoDirs)) {
+      await mkdir(dir, { recursive: true })
+    }
+
+    const urls = BOARD_CORES.filter(core => core.indexUrl).map(core => core.indexUrl)
+    const lines = [
+      '# Generated by E-Blocks Companion - changes are overwritten on startup',
+      'board_manager:',
+      '  additional_urls:',
+      ...urls.map(url => `    - ${JSON.stringify(url)}`),
+      'directories:',
+      `  data: ${JSON.stringify(arduinoDirs.data)}`,
+      `  downloads: ${JSON.stringify(arduinoDirs.downloads)}`,
+      `  user: ${JSON.stringify(arduinoDirs.user)}`,
+      'updater:',
+      '  enable_notification: false',
+      ''
+    ]
+    await writeFile(arduinoConfigFile, lines.join('\n'), 'utf8')
+  }
+
+  await writeArduinoConfig()
+
+  // Installed cores (id -> { installedVersion, latestVersion }), cached until the next install
+  let installedCoresCache = null
+
+  async function getInstalledCores(arduinoCLI, { refresh = false } = {}) {
+    if (installedCoresCache && !refresh) {
+      return installedCoresCache
+    }
+
+    const { stdout } = await execAsync(cliCommand(arduinoCLI, 'core list --format json'), { timeout: 30000 })
+    const parsed = JSON.parse(stdout || '[]')
+    // Older arduino-cli versions print a bare array, newer ones wrap it in { platforms: [...] }
+    const platforms = Array.isArray(parsed) ? parsed : (parsed.platforms || [])
+
+    const cores = new Map()
+    for (const platform of platforms) {
+      const installedVersion = platform.installed_version || platform.installed
+      if (installedVersion) {
+        cores.set(platform.id, {
+          installedVersion,
+          latestVersion: platform.latest_version || platform.latest || null
         })
-        console.log('Fallback successful, returning', ports.length, 'ports')
-        return res.json({ success: true, ports })
-      } catch (fallbackError) {
-        console.error('Fallback also failed:', fallbackError)
-        console.error('Fallback error stack:', fallbackError.stack)
-        res.status(500).json({ 
-          success: false, 
-          error: error.message || 'Failed to get serial ports',
-          fallbackError: fallbackError.message,
-          details: error.stack
+      }
+    }
+
+    installedCoresCache = cores
+    return cores
+  }
+
+  // Core installs run one at a time - arduino-cli does not like concurrent downloads into the same data dir
+  let coreInstallQueue = Promise.resolve()
+
+  // Update the package index and install a core, reporting both as build stages
+  function installCore(reporter, arduinoCLI, coreName) {
+    const run = coreInstallQueue.then(async () => {
+      // Another build may have installed it while this one was waiting
+      const installed = await getInstalledCores(arduinoCLI, { refresh: true }).catch(() => new Map())
+      if (installed.has(coreName)) {
+        reporter.stage('index', 'skipped', 'Update core index')
+        reporter.stage('core', 'skipped', `Core ${coreName} ${installed.get(coreName).installedVersion}`)
+        return
+      }
+
+      console.log('Updating core index...')
+      await runBuildStage(reporter, arduinoCLI, {
+        stage: 'index',
+        label: 'Update core index',
+        args: cliArgs(['core', 'update-index']),
+        timeout: 60000,
+        optional: true
+      })
+
+      console.log(`Installing core: ${coreName}...`)
+      try {
+        await runBuildStage(reporter, arduinoCLI, {
+          stage: 'core',
+          label: `Install core ${coreName}`,
+          args: cliArgs(['core', 'install', coreName]),
+          timeout: 600000
         })
+      } finally {
+        installedCoresCache = null
+      }
+    })
+
+    coreInstallQueue = run.catch(() => {})
+    return run
+  }
+
+  // Make sure the core for a board is installed, installing it only when it is missing
+  async function ensureCore(reporter, arduinoCLI, coreName) {
+    let installed
+    try {
+      installed = await getInstalledCores(arduinoCLI)
+    } catch (error) {
+      console.warn('Could not list installed cores:', error.message)
+      installed = new Map()
+    }
+
+    if (installed.has(coreName)) {
+      reporter.stage('index', 'skipped', 'Update core index')
+      reporter.stage('core', 'skipped', `Core ${coreName} ${installed.get(coreName).installedVersion}`)
+      return
+    }
+
+    await installCore(reporter, arduinoCLI, coreName)
+  }
+
+  // Core status for the Settings page
+  serverApp.get('/api/cores', async (req, res) => {
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      const installed = await getInstalledCores(arduinoCLI, { refresh: true })
+
+      const cores = BOARD_CORES.map(core => ({
+        id: core.id,
+        name: core.name,
+        installed: installed.has(core.id),
+        installedVersion: installed.get(core.id)?.installedVersion || null,
+        latestVersion: installed.get(core.id)?.latestVersion || null
+      }))
+
+      res.json({ success: true, cores })
+    } catch (error) {
+      console.error('Error listing cores:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.message || 'Failed to list cores' 
+      })
+    }
+  })
+
+  // Install a board core (supports ?stream=1 like the build routes)
+  serverApp.post('/api/cores/install', async (req, res) => {
+    const { core } = req.body
+
+    if (!core || !/^[\w.-]+:[\w.-]+$/.test(core)) {
+      return res.status(400).json({ success: false, error: 'Invalid core ID' })
+    }
+
+    const reporter = createBuildReporter(req, res)
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await installCore(reporter, arduinoCLI, core)
+
+      reporter.finish(200, { 
+        success: true, 
+        message: `Core ${core} installed` 
+      })
+    } catch (error) {
+      console.error('Core install error:', error)
+      reporter.finish(error.cancelled ? 200 : 500, { 
+        success: false, 
+        cancelled: !!error.cancelled,
+        error: error.cancelled ? 'Install cancelled' : (error.stderr || error.message || 'Core install failed')
+      })
+    }
+  })
+
+  // Board config menus (partition scheme, flash frequency, PSRAM...) by base FQBN - they only
+  // change when a core is installed or updated
+  const boardDetailsCache = new Map()
+
+  // Config options and programmers for a board (base FQBN), from `arduino-cli board details`.
+  // Returns null when the board's core is not installed yet - board details fails for those.
+  async function getBoardDetails(arduinoCLI, fqbn) {
+    const installed = await getInstalledCores(arduinoCLI)
+    const coreName = fqbn.split(':').slice(0, 2).join(':')
+    if (!installed.has(coreName)) return null
+
+    const cacheKey = `${fqbn}@${installed.get(coreName).installedVersion}`
+    if (!boardDetailsCache.has(cacheKey)) {
+      const { stdout } = await runProcess(arduinoCLI, cliArgs(['board', 'details', '-b', fqbn, '--format', 'json']), { timeout: 30000 })
+      const details = JSON.parse(stdout || '{}')
+
+      boardDetailsCache.set(cacheKey, {
+        name: details.name || fqbn,
+        options: (details.config_options || []).map(option => ({
+          option: option.option,
+          label: option.option_label || option.option,
+          values: (option.values || []).map(value => ({
+            value: value.value,
+            label: value.value_label || value.value,
+            selected: !!value.selected
+          }))
+        })),
+        programmers: (details.programmers || []).map(programmer => ({
+          id: programmer.id,
+          name: programmer.name || programmer.id
+        }))
+      })
+    }
+    return boardDetailsCache.get(cacheKey)
+  }
+
+  // Board details for the renderer, which turns the config options into dropdowns and appends
+  // the non-default choices to the FQBN as :key=value,...
+  serverApp.get('/api/boards/details', async (req, res) => {
+    const fqbn = (req.query.fqbn || '').split(':').slice(0, 3).join(':')
+
+    if (fqbn.split(':').length !== 3) {
+      return res.status(400).json({ success: false, error: 'A board FQBN (vendor:arch:board) is required' })
+    }
+
+    try {
+      const details = await getBoardDetails(await findArduinoCLI(), fqbn)
+
+      // The first build installs the core - until then there is nothing to show
+      if (!details) {
+        return res.json({ success: true, fqbn, coreInstalled: false, options: [], programmers: [] })
+      }
+
+      res.json({ success: true, fqbn, coreInstalled: true, ...details })
+    } catch (error) {
+      console.error('Board details error:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.stderr || error.message || 'Failed to read board options' 
+      })
+    }
+  })
+
+  // Library manager - wraps arduino-cli lib commands for the Libraries panel
+
+  // The library index is downloaded once per session, before the first search or install.
+  // Offline machines fall back to whatever index is already cached.
+  let libraryIndexUpdated = false
+
+  async function updateLibraryIndex(arduinoCLI) {
+    if (libraryIndexUpdated) return
+    try {
+      await runProcess(arduinoCLI, cliArgs(['lib', 'update-index']), { timeout: 60000 })
+      libraryIndexUpdated = true
+    } catch (error) {
+      console.warn('Library index update failed, using cached index:', error.message)
+    }
+  }
+
+  // Installed libraries
+  serverApp.get('/api/libraries', async (req, res) => {
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      const { stdout } = await execAsync(cliCommand(arduinoCLI, 'lib list --format json'), { timeout: 30000 })
+      const parsed = JSON.parse(stdout || '[]')
+      // Older arduino-cli versions print a bare array, newer ones wrap it in { installed_libraries: [...] }
+      const entries = Array.isArray(parsed) ? parsed : (parsed.installed_libraries || [])
+
+      const libraries = entries
+        .map(entry => entry.library || entry)
+        .map(library => ({
+          name: library.name,
+          version: library.version,
+          author: library.author || '',
+          sentence: library.sentence || '',
+          location: library.location || ''
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+
+      res.json({ success: true, libraries })
+    } catch (error) {
+      console.error('Error listing libraries:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.message || 'Failed to list libraries' 
+      })
+    }
+  })
+
+  // Search the Arduino library index
+  serverApp.get('/api/libraries/search', async (req, res) => {
+    const query = (req.query.q || '').trim()
+
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'No search text provided' })
+    }
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await updateLibraryIndex(arduinoCLI)
+      const { stdout } = await runProcess(arduinoCLI, cliArgs(['lib', 'search', query, '--format', 'json']), { timeout: 60000 })
+      const parsed = JSON.parse(stdout || '{}')
+
+      const libraries = (parsed.libraries || []).slice(0, 50).map(library => {
+        const latest = library.latest || {}
+        return {
+          name: library.name,
+          version: latest.version || '',
+          author: latest.author || '',
+          sentence: latest.sentence || ''
+        }
+      })
+
+      res.json({ success: true, libraries })
+    } catch (error) {
+      console.error('Library search error:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.stderr || error.message || 'Library search failed' 
+      })
+    }
+  })
+
+  // Install a library from the index (supports ?stream=1 like the build routes)
+  serverApp.post('/api/libraries/install', async (req, res) => {
+    const { name, version } = req.body
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Library name not specified' })
+    }
+
+    const reporter = createBuildReporter(req, res)
+    const spec = version ? `${name}@${version}` : name
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await updateLibraryIndex(arduinoCLI)
+      await runBuildStage(reporter, arduinoCLI, {
+        stage: 'library',
+        label: `Install ${spec}`,
+        args: cliArgs(['lib', 'install', spec]),
+        timeout: 300000
+      })
+
+      reporter.finish(200, { 
+        success: true, 
+        message: `Library ${spec} installed` 
+      })
+    } catch (error) {
+      console.error('Library install error:', error)
+      reporter.finish(500, { 
+        success: false, 
+        error: error.stderr || error.message || 'Library install failed' 
+      })
+    }
+  })
+
+  // Install a library from a local .zip (for offline labs). The zip is sent as the raw request body.
+  serverApp.post('/api/libraries/install-zip', express.raw({ type: 'application/zip', limit: '200mb' }), async (req, res) => {
+    if (!req.body || !req.body.length) {
+      return res.status(400).json({ success: false, error: 'No zip file provided' })
+    }
+
+    const fileName = basename(req.get('X-File-Name') || 'library.zip').replace(/[^\w.-]/g, '_')
+    const zipPath = join(tempDir, `${Date.now()}_${fileName}`)
+    const reporter = createBuildReporter(req, res)
+
+    try {
+      await writeFile(zipPath, req.body)
+      const arduinoCLI = await findArduinoCLI()
+
+      // --zip-path is refused unless unsafe installs are enabled
+      await runBuildStage(reporter, arduinoCLI, {
+        stage: 'library',
+        label: `Install ${fileName}`,
+        args: cliArgs(['lib', 'install', '--zip-path', zipPath]),
+        timeout: 120000,
+        env: { ARDUINO_LIBRARY_ENABLE_UNSAFE_INSTALL: 'true' }
+      })
+
+      reporter.finish(200, { 
+        success: true, 
+        message: `Library installed from ${fileName}` 
+      })
+    } catch (error) {
+      console.error('Library zip install error:', error)
+      reporter.finish(500, { 
+        success: false, 
+        error: error.stderr || error.message || 'Library install failed' 
+      })
+    } finally {
+      await rm(zipPath, { force: true }).catch(() => {})
+    }
+  })
+
+  // Remove an installed library
+  serverApp.post('/api/libraries/uninstall', async (req, res) => {
+    const { name } = req.body
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Library name not specified' })
+    }
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await runProcess(arduinoCLI, cliArgs(['lib', 'uninstall', name]), { timeout: 60000 })
+      res.json({ success: true, message: `Library ${name} removed` })
+    } catch (error) {
+      console.error('Library uninstall error:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.stderr || error.message || 'Failed to remove library' 
+      })
+    }
+  })
+
+  // Total size of a folder in bytes (symlinks are not followed)
+  async function getFolderSize(dir) {
+    let total = 0
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+    for (const entry of entries) {
+      const entryPath = join(dir, entry.name)
+      if (entry.isDirectory()) {
+        total += await getFolderSize(entryPath)
+      } else {
+        total += (await lstat(entryPath).catch(() => ({ size: 0 }))).size
+      }
+    }
+    return total
+  }
+
+  // Show the app's arduino-cli environment - config file, folders and their sizes
+  serverApp.get('/api/cli-config', async (req, res) => {
+    try {
+      const directories = {}
+      for (const [name, dir] of Object.entries(arduinoDirs)) {
+        directories[name] = { path: dir, size: await getFolderSize(dir) }
+      }
+
+      res.json({ 
+        success: true, 
+        configFile: arduinoConfigFile,
+        config: await readFile(arduinoConfigFile, 'utf8').catch(() => ''),
+        directories
+      })
+    } catch (error) {
+      console.error('Error reading arduino-cli config:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      })
+    }
+  })
+
+  // Open the app's arduino-cli folder in the file manager
+  serverApp.post('/api/cli-config/open', async (req, res) => {
+    const error = await shell.openPath(arduinoRoot)
+    if (error) {
+      return res.status(500).json({ success: false, error })
+    }
+    res.json({ success: true })
+  })
+
+  // Reset the app's arduino-cli environment - removes every installed core, library and download
+  // and writes a fresh config. Cores are reinstalled on the next build.
+  serverApp.post('/api/cli-config/reset', async (req, res) => {
+    if (activeBuilds.size > 0) {
+      return res.status(409).json({ success: false, error: 'Wait for the current build to finish before resetting' })
+    }
+
+    try {
+      console.log('Resetting arduino-cli environment:', arduinoRoot)
+      await rm(arduinoRoot, { recursive: true, force: true })
+      await writeArduinoConfig()
+
+      installedCoresCache = null
+      libraryIndexUpdated = false
+
+      res.json({ 
+        success: true, 
+        message: 'Arduino CLI environment reset - cores will be reinstalled on the next build'
+      })
+    } catch (error) {
+      console.error('Error resetting arduino-cli environment:', error)
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      })
+    }
+  })
+
+  // Offline bundles - a zip of the private arduino-cli folders so a technician can provision a lab
+  // without internet. Layout: bundle.json, data/ (cores, tools, package indexes) and user/libraries/.
+  // bundle.json must be there - it names the OS and CPU the bundled toolchains were built for.
+  // The server listens to any origin, so bundle paths only ever come from a dialog, never the request.
+
+  // bsdtar (tar.exe on Windows 10+, tar on macOS) reads and writes zip files; GNU tar on Linux
+  // does not, so zip/unzip are used there
+  function zipTool(action, zipPath, dir, entries = []) {
+    if (process.platform === 'linux') {
+      return action === 'extract'
+        ? { command: 'unzip', args: ['-q', '-o', zipPath, '-d', dir] }
+        : { command: 'zip', args: ['-r', '-q', '-y', zipPath, ...entries], cwd: dir }
+    }
+
+    // Use the system tar.exe - a Git Bash GNU tar earlier on the PATH cannot handle zip
+    const tar = process.platform === 'win32'
+      ? join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'tar.exe')
+      : 'tar'
+    return action === 'extract'
+      ? { command: tar, args: ['-x', '-f', zipPath, '-C', dir] }
+      : { command: tar, args: ['-a', '-c', '-f', zipPath, ...entries], cwd: dir }
+  }
+
+  // Import an offline bundle picked in a file dialog
+  serverApp.post('/api/bundle/import', async (req, res) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Offline Bundle',
+      filters: [{ name: 'Offline Bundle', extensions: ['zip'] }],
+      properties: ['openFile']
+    })
+    if (canceled || filePaths.length === 0) {
+      return res.json({ success: false, cancelled: true, error: 'Import cancelled' })
+    }
+    const bundlePath = filePaths[0]
+
+    if (!existsSync(bundlePath)) {
+      return res.status(404).json({ success: false, error: `Bundle not found: ${bundlePath}` })
+    }
+
+    if (activeBuilds.size > 0) {
+      return res.status(409).json({ success: false, error: 'Wait for the current build to finish before importing' })
+    }
+
+    const reporter = createBuildReporter(req, res)
+    const stagingDir = join(arduinoRoot, 'import-staging')
+
+    try {
+      await rm(stagingDir, { recursive: true, force: true })
+      await mkdir(stagingDir, { recursive: true })
+
+      const extract = zipTool('extract', bundlePath, stagingDir)
+      await runBuildStage(reporter, extract.command, {
+        stage: 'extract',
+        label: 'Extract bundle',
+        args: extract.args,
+        timeout: 1800000
+      })
+
+      // Cores ship native toolchains (avr-gcc, esptool...) - ones built for another OS or CPU cannot
+      // run here, so a bundle that does not say what it was built for is refused too
+      let manifest
+      try {
+        manifest = JSON.parse(await readFile(join(stagingDir, 'bundle.json'), 'utf8'))
+      } catch (error) {
+        throw new Error('This zip is not an offline bundle - bundle.json is missing or unreadable. Export the bundle from the Settings page of this app.')
+      }
+      if (manifest.platform !== process.platform || manifest.arch !== process.arch) {
+        throw new Error(`This bundle was exported on ${manifest.platform}/${manifest.arch} and its tools cannot run on this computer (${process.platform}/${process.arch}) - export a bundle on a matching computer`)
+      }
+
+      // Only the two trees an export writes are installed - anything else in the zip is ignored
+      const dataSource = join(stagingDir, 'data')
+      const librariesSource = join(stagingDir, 'user', 'libraries')
+      if (!existsSync(join(dataSource, 'packages'))) {
+        throw new Error('This bundle has no cores - expected a data/packages/ folder')
+      }
+
+      reporter.stage('copy', 'running', 'Install cores and libraries')
+      reporter.output(`Copying cores into ${arduinoDirs.data}\n`)
+      await cp(dataSource, arduinoDirs.data, { recursive: true, force: true })
+      if (existsSync(librariesSource)) {
+        reporter.output(`Copying libraries into ${join(arduinoDirs.user, 'libraries')}\n`)
+        await cp(librariesSource, join(arduinoDirs.user, 'libraries'), { recursive: true, force: true })
+      }
+      reporter.stage('copy', 'done', 'Install cores and libraries')
+
+      installedCoresCache = null
+
+      reporter.finish(200, { 
+        success: true, 
+        message: 'Offline bundle imported',
+        path: bundlePath
+      })
+    } catch (error) {
+      console.error('Bundle import error:', error)
+      reporter.finish(500, { 
+        success: false, 
+        error: error.stderr || error.message || 'Bundle import failed' 
+      })
+    } finally {
+      await rm(stagingDir, { recursive: true, force: true }).catch(() => {})
+    }
+  })
+
+  // Export the installed cores and libraries as an offline bundle, saved where the user picks in a save dialog
+  serverApp.post('/api/bundle/export', async (req, res) => {
+    if (!existsSync(join(arduinoDirs.data, 'packages'))) {
+      return res.status(400).json({ success: false, error: 'No cores are installed - there is nothing to export' })
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Offline Bundle',
+      defaultPath: join(app.getPath('documents'), 'eblocks-offline-bundle.zip'),
+      filters: [{ name: 'Offline Bundle', extensions: ['zip'] }]
+    })
+    if (canceled || !filePath) {
+      return res.json({ success: false, cancelled: true, error: 'Export cancelled' })
+    }
+    const bundlePath = filePath
+
+    const reporter = createBuildReporter(req, res)
+    const manifestPath = join(arduinoRoot, 'bundle.json')
+
+    try {
+      const installed = await getInstalledCores(await findArduinoCLI(), { refresh: true }).catch(() => new Map())
+      await writeFile(manifestPath, JSON.stringify({
+        createdAt: new Date().toISOString(),
+        appVersion: app.getVersion(),
+        platform: process.platform,
+        arch: process.arch,
+        cores: Object.fromEntries([...installed].map(([id, core]) => [id, core.installedVersion]))
+      }, null, 2), 'utf8')
+
+      // The zip tool would otherwise add to an existing archive
+      await rm(bundlePath, { force: true })
+
+      const entries = ['bundle.json', 'data']
+      if (existsSync(join(arduinoDirs.user, 'libraries'))) {
+        entries.push(join('user', 'libraries'))
+      }
+
+      const compress = zipTool('create', bundlePath, arduinoRoot, entries)
+      await runBuildStage(reporter, compress.command, {
+        stage: 'compress',
+        label: 'Create bundle',
+        args: compress.args,
+        cwd: compress.cwd,
+        timeout: 1800000
+      })
+
+      reporter.finish(200, { 
+        success: true, 
+        message: `Offline bundle saved to ${bundlePath}`,
+        path: bundlePath
+      })
+    } catch (error) {
+      console.error('Bundle export error:', error)
+      reporter.finish(500, { 
+        success: false, 
+        error: error.stderr || error.message || 'Bundle export failed' 
+      })
+    } finally {
+      await rm(manifestPath, { force: true }).catch(() => {})
+    }
+  })
+
+  // Compile only (Verify) - checks the sketch for errors without needing a board connected
+  serverApp.post('/api/compile', async (req, res) => {
+    const { code, board, project, projectPath, files } = req.body
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'No code provided' })
+    }
+
+    if (!board) {
+      return res.status(400).json({ success: false, error: 'No board specified' })
+    }
+
+    const filesError = validateSketchFiles(files)
+    if (filesError) {
+      return res.status(400).json({ success: false, error: filesError })
+    }
+
+    const { sketchDir, buildPath } = getBuildPaths(project, board, projectPath)
+    if (isSketchBuilding(sketchDir)) {
+      return res.status(409).json({ success: false, error: 'A build is already running for this project' })
+    }
+
+    const reporter = createBuildReporter(req, res)
+    reporter.sketchDir = sketchDir
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+
+      await writeSketch(sketchDir, code, files)
+
+      // Only touches the network when the board's core is missing
+      const coreName = board.split(':').slice(0, 2).join(':')
+      await ensureCore(reporter, arduinoCLI, coreName)
+
+      console.log('Verifying sketch...')
+      const compileResult = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'compile',
+        label: 'Compile',
+        args: cliArgs(['compile', '--fqbn', board, '--build-path', buildPath, '--build-cache-path', coreCacheDir, sketchDir]),
+        timeout: 120000
+      })
+      const output = [compileResult.stdout, compileResult.stderr].filter(Boolean).join('\n')
+
+      reporter.finish(200, {
+        success: true,
+        message: 'Sketch compiled successfully',
+        output,
+        usage: parseSketchUsage(output),
+        diagnostics: parseCompilerDiagnostics(output, sketchDir)
+      })
+    } catch (error) {
+      console.error('Compile error:', error)
+
+      if (error.cancelled) {
+        await removeBuildPath(buildPath)
+        return reporter.finish(200, {
+          success: false,
+          cancelled: true,
+          error: 'Verify cancelled'
+        })
+      }
+
+      const output = [error.stdout, error.stderr].filter(Boolean).join('\n')
+      reporter.finish(500, {
+        success: false,
+        error: error.stderr || error.stdout || error.message || 'Compile failed',
+        output,
+        usage: parseSketchUsage(output),
+        diagnostics: parseCompilerDiagnostics(output, sketchDir)
+      })
+    }
+  })
+
+  // Find an LLVM tool (clangd, clang-format) - bundled in resources/<tool>/<platform>/<arch>, or on the PATH
+  async function findLlvmTool(toolName) {
+    const exeName = process.platform === 'win32' ? `${toolName}.exe` : toolName
+    const arch = process.arch === 'arm64' ? 'arm64' : 'x64'
+    const resourcesPath = process.resourcesPath || app.getAppPath()
+    const bundledPath = join(resourcesPath, toolName, process.platform, arch, exeName)
+    if (app.isPackaged && existsSync(bundledPath)) {
+      return bundledPath
+    }
+
+    try {
+      const { stdout } = await execAsync(process.platform === 'win32' ? `where ${toolName}` : `which ${toolName}`)
+      return stdout.split(/\r?\n/)[0].trim() || null
+    } catch (error) {
+      return null
+    }
+  }
+
+  // clangd - live C++ diagnostics, completion and go-to-definition in the editor. The sketch is
+  // written to its own folder (builds rewrite theirs) and arduino-cli generates the compile
+  // database for the board without compiling anything.
+  serverApp.post('/api/clangd/start', async (req, res) => {
+    const { code, board, project, projectPath, files } = req.body
+
+    if (typeof code !== 'string') {
+      return res.status(400).json({ success: false, error: 'No code provided' })
+    }
+
+    if (!board) {
+      return res.status(400).json({ success: false, error: 'No board specified' })
+    }
+
+    const filesError = validateSketchFiles(files)
+    if (filesError) {
+      return res.status(400).json({ success: false, error: filesError })
+    }
+
+    try {
+      const clangdPath = await findLlvmTool('clangd')
+      if (!clangdPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'clangd was not found - install clangd (LLVM) for live C++ diagnostics'
+        })
+      }
+
+      const { projectDir, buildPath } = getBuildPaths(project, board, projectPath)
+      const languageServerDir = join(projectDir, 'language-server')
+      const sketchDir = join(languageServerDir, BUILD_SKETCH_NAME)
+      const compileDbPath = join(languageServerDir, basename(buildPath))
+      await writeSketch(sketchDir, code, files)
+
+      // Preprocesses the sketch into <build>/sketch/<name>.ino.cpp and writes compile_commands.json
+      const arduinoCLI = await findArduinoCLI()
+      await runProcess(arduinoCLI, cliArgs(['compile', '--fqbn', board, '--only-compilation-database', '--build-path', compileDbPath, sketchDir]), { timeout: 120000 })
+      if (!existsSync(join(compileDbPath, 'compile_commands.json'))) {
+        throw new Error('arduino-cli did not write a compile database')
+      }
+
+      startClangd(clangdPath, compileDbPath, [languageServerDir, arduinoDirs.data, arduinoDirs.user])
+      res.json({
+        success: true,
+        sketchDir: join(compileDbPath, 'sketch'),
+        mainFile: `${basename(sketchDir)}.ino.cpp`
+      })
+    } catch (error) {
+      console.error('Error starting clangd:', error)
+      res.status(500).json({ success: false, error: error.stderr || error.message || 'Could not start clangd' })
+    }
+  })
+
+  serverApp.post('/api/clangd/stop', (req, res) => {
+    stopClangd()
+    res.json({ success: true })
+  })
+
+  // Code formatter - clang-format with the bundled house style, which matches the layout of the
+  // curriculum examples. Formats any number of sketch files in one request.
+  const clangFormatStyle = app.isPackaged
+    ? join(process.resourcesPath || app.getAppPath(), 'clang-format', 'eblocks.clang-format')
+    : join(__dirname, '../resources/clang-format/eblocks.clang-format')
+
+  serverApp.post('/api/format', async (req, res) => {
+    const { files } = req.body
+
+    const filesError = validateSketchFiles(files)
+    if (filesError || !files || files.length === 0) {
+      return res.status(400).json({ success: false, error: filesError || 'No files to format' })
+    }
+
+    try {
+      const clangFormatPath = await findLlvmTool('clang-format')
+      if (!clangFormatPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'clang-format was not found - install clang-format (LLVM) to format code'
+        })
+      }
+
+      const formatted = []
+      for (const file of files) {
+        // .ino is C++ - give clang-format a name it recognises
+        const assumeName = file.name.replace(/\.ino$/, '.cpp')
+        const { stdout } = await runProcess(clangFormatPath, [`--style=file:${clangFormatStyle}`, `--assume-filename=${assumeName}`], {
+          timeout: 30000,
+          input: file.content
+        })
+        formatted.push({ name: file.name, content: stdout })
+      }
+
+      res.json({ success: true, files: formatted })
+    } catch (error) {
+      console.error('Error formatting code:', error)
+      res.status(500).json({ success: false, error: error.stderr || error.message || 'Formatting failed' })
+    }
+  })
+
+  // Close the serial monitor's connection to a port so the uploader can open it. The closed
+  // session is kept on the reporter (reporter.monitor) and returned to the renderer, which
+  // reopens it at the same baud rate after the upload.
+  async function releaseSerialPort(portName, reporter) {
+    if (!serialConnections.has(portName)) return
+
+    console.log(`Port ${portName} is in use, closing connection...`)
+    reporter.output(`Releasing ${portName} from the serial monitor...\n`)
+    const connection = serialConnections.get(portName)
+    reporter.monitor = { port: portName, baudRate: connection ? connection.baudRate : null }
+    serialConnections.delete(portName)
+    serialDataBuffers.delete(portName)
+    
+    if (connection && connection.serialPort.isOpen) {
+      await new Promise((resolve) => {
+        connection.serialPort.close((error) => {
+          if (error) console.error('Close error:', error)
+          // Wait for port to be fully released by OS
+          setTimeout(resolve, 2000)
+        })
+      })
+    }
+    console.log(`Port ${portName} released, proceeding with upload...`)
+  }
+
+  // Extra `arduino-cli upload` flags from the user's Upload Settings. A programmer the board
+  // does not offer is skipped (upload goes through the bootloader) rather than failing the upload.
+  async function getUploadOptionArgs(reporter, arduinoCLI, board, { verify = false, verbose = false, programmer = '' } = {}) {
+    const args = []
+    if (verify) args.push('--verify')
+    if (verbose) args.push('--verbose')
+
+    if (programmer) {
+      const details = await getBoardDetails(arduinoCLI, board.split(':').slice(0, 3).join(':')).catch(() => null)
+      if (details && details.programmers.some(p => p.id === programmer)) {
+        args.push('--programmer', programmer)
+      } else {
+        reporter.output(`Programmer "${programmer}" is not available for ${board} - uploading through the bootloader\n`, 'stderr')
+      }
+    }
+    return args
+  }
+
+  // Work out whether the uploader's read-back verify passed. avrdude prints "N bytes of flash verified"
+  // or "verification error"; esptool prints "Hash of data verified" / "verify OK" or a digest mismatch.
+  function parseUploadVerify(output, requested) {
+    const failure = (output || '').match(/^.*(verification error|content mismatch|verify failed|digest mismatch|does not match).*$/im)
+    if (failure) {
+      return { requested, passed: false, message: failure[0].trim() }
+    }
+
+    const success = (output || '').match(/^.*(bytes of flash verified|verify OK|Hash of data verified).*$/im)
+    if (success) {
+      return { requested, passed: true, message: success[0].trim() }
+    }
+
+    return {
+      requested,
+      passed: null,
+      message: requested ? 'The uploader did not report a verify result' : 'Verify after upload is turned off'
+    }
+  }
+
+  const VERIFY_FAILED_MESSAGE = 'Upload verification failed - the board\'s flash does not match the sketch. Try a different USB cable or port.'
+
+  serverApp.post('/api/upload', async (req, res) => {
+    const { code, board, port: portName, project, projectPath, files, verify = false, verbose = false, programmer = '' } = req.body
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'No code provided' })
+    }
+
+    if (!board) {
+      return res.status(400).json({ success: false, error: 'No board specified' })
+    }
+
+    const filesError = validateSketchFiles(files)
+    if (filesError) {
+      return res.status(400).json({ success: false, error: filesError })
+    }
+
+    const { sketchDir, buildPath } = getBuildPaths(project, board, projectPath)
+    if (isSketchBuilding(sketchDir)) {
+      return res.status(409).json({ success: false, error: 'A build is already running for this project' })
+    }
+
+    // A firmware-file upload or maintenance job may be writing to the same port
+    const uploadPort = portName || 'auto'
+    if (uploadPort !== 'auto' && [...activeBuilds.values()].some(build => build.port === uploadPort)) {
+      return res.status(409).json({ success: false, error: `An upload to ${uploadPort} is already running` })
+    }
+
+    const reporter = createBuildReporter(req, res)
+    reporter.sketchDir = sketchDir
+
+    // Ensure the port is not in use by our serial connection
+    reporter.port = uploadPort !== 'auto' ? uploadPort : null
+    if (uploadPort !== 'auto') {
+      await releaseSerialPort(uploadPort, reporter)
+    }
+
+    let arduinoCLI
+    let usage = null
+    let uploading = false
+
+    try {
+      arduinoCLI = await findArduinoCLI()
+
+      await writeSketch(sketchDir, code, files)
+
+      // Only touches the network when the board's core is missing
+      const coreName = board.split(':').slice(0, 2).join(':')
+      await ensureCore(reporter, arduinoCLI, coreName)
+
+      console.log('Compiling sketch...')
+      const compileResult = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'compile',
+        label: 'Compile',
+        args: cliArgs(['compile', '--fqbn', board, '--build-path', buildPath, '--build-cache-path', coreCacheDir, sketchDir]),
+        timeout: 120000
+      })
+      usage = parseSketchUsage([compileResult.stdout, compileResult.stderr].filter(Boolean).join('\n'))
+      
+      if (compileResult.stderr) {
+        console.warn('Compile warnings:', compileResult.stderr)
+      }
+
+      let finalUploadPort = uploadPort
+      if (!finalUploadPort || finalUploadPort === 'auto') {
+        console.log('Port not specified or set to auto, detecting available ports...')
+        const detected = pickUploadPort(await listBoardPorts(arduinoCLI), board)
+        if (detected) {
+          finalUploadPort = detected.port
+          reporter.port = finalUploadPort
+          console.log(`Auto-detected port: ${finalUploadPort} (${detected.board})`)
+          reporter.output(`Auto-detected port: ${finalUploadPort} (${detected.board})\n`)
+        }
+      } else {
+        console.log(`Using specified port: ${finalUploadPort}`)
+      }
+
+      if (!finalUploadPort) {
+        return reporter.finish(400, { 
+          success: false, 
+          error: 'No serial port found. Please connect your device.' 
+        })
+      }
+
+      // Double-check port is not in use (an auto-detected port was not released above)
+      await releaseSerialPort(finalUploadPort, reporter)
+
+      console.log(`Uploading to port: ${finalUploadPort}...`)
+      const uploadTool = board.startsWith('esp32:') ? 'esptool' : 'avrdude'
+      const optionArgs = await getUploadOptionArgs(reporter, arduinoCLI, board, { verify, verbose, programmer })
+      uploading = true
+      const uploadResult = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'upload',
+        label: `Upload (${uploadTool})`,
+        args: cliArgs(['upload', '-p', finalUploadPort, '--fqbn', board, ...optionArgs, '--input-dir', buildPath, sketchDir]),
+        timeout: verify ? 120000 : 60000
+      })
+
+      reporter.finish(200, { 
+        success: true, 
+        message: 'Code uploaded successfully',
+        port: finalUploadPort,
+        monitor: reporter.monitor,
+        output: uploadResult.stdout,
+        verify: parseUploadVerify([uploadResult.stdout, uploadResult.stderr].join('\n'), verify),
+        usage,
+        diagnostics: parseCompilerDiagnostics(compileResult.stderr, sketchDir)
+      })
+
+    } catch (error) {
+      console.error('Upload error:', error)
+
+      if (error.cancelled) {
+        await removeBuildPath(buildPath)
+        return reporter.finish(200, {
+          success: false,
+          cancelled: true,
+          error: 'Upload cancelled',
+          port: reporter.port,
+          monitor: reporter.monitor
+        })
+      }
+
+      let errorMessage = error.message || 'Upload failed'
+      if (error.stderr) {
+        errorMessage = error.stderr
+      } else if (error.stdout) {
+        errorMessage = error.stdout
+      }
+
+      const verifyResult = uploading
+        ? parseUploadVerify([error.stdout, error.stderr].join('\n'), verify)
+        : null
+      if (verifyResult && verifyResult.passed === false) {
+        errorMessage = VERIFY_FAILED_MESSAGE
+      }
+
+      reporter.finish(500, { 
+        success: false, 
+        error: errorMessage,
+        port: reporter.port,
+        monitor: reporter.monitor,
+        verify: verifyResult,
+        usage,
+        diagnostics: parseCompilerDiagnostics(error.stderr, sketchDir)
+      })
+    }
+  })
+
+  // Upload a precompiled firmware image (.hex / .bin / .elf) - the combo-board demo, a board self-test
+  // or a teacher's solution. The file is always picked in a dialog - never taken from the request,
+  // which any origin can send. ESP32 images need their .bootloader.bin and .partitions.bin
+  // next to them, named like the files /api/build/export saves.
+  serverApp.post('/api/upload/firmware', async (req, res) => {
+    const { board, port: portName, verify = false, verbose = false, programmer = '' } = req.body
+
+    if (!board) {
+      return res.status(400).json({ success: false, error: 'No board specified' })
+    }
+
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Upload Firmware File',
+      defaultPath: app.getPath('documents'),
+      filters: [
+        { name: 'Firmware', extensions: ['hex', 'bin', 'elf'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    })
+    if (canceled || filePaths.length === 0) {
+      return res.json({ success: false, cancelled: true, error: 'Upload cancelled' })
+    }
+    const firmwarePath = filePaths[0]
+
+    if (!existsSync(firmwarePath)) {
+      return res.status(404).json({ success: false, error: `Firmware not found: ${firmwarePath}` })
+    }
+
+    const uploadPort = portName || 'auto'
+    if (uploadPort !== 'auto' && [...activeBuilds.values()].some(build => build.port === uploadPort)) {
+      return res.status(409).json({ success: false, error: `An upload to ${uploadPort} is already running` })
+    }
+
+    const reporter = createBuildReporter(req, res)
+    reporter.port = uploadPort !== 'auto' ? uploadPort : null
+    if (uploadPort !== 'auto') {
+      await releaseSerialPort(uploadPort, reporter)
+    }
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+
+      const coreName = board.split(':').slice(0, 2).join(':')
+      await ensureCore(reporter, arduinoCLI, coreName)
+
+      let finalUploadPort = uploadPort !== 'auto' ? uploadPort : null
+      if (!finalUploadPort) {
+        const detected = pickUploadPort(await listBoardPorts(arduinoCLI), board)
+        if (detected) {
+          finalUploadPort = detected.port
+          reporter.port = finalUploadPort
+          reporter.output(`Auto-detected port: ${finalUploadPort} (${detected.board})\n`)
+          await releaseSerialPort(finalUploadPort, reporter)
+        }
+      }
+
+      if (!finalUploadPort) {
+        return reporter.finish(400, { 
+          success: false, 
+          error: 'No serial port found. Please connect your device.' 
+        })
+      }
+
+      const uploadTool = board.startsWith('esp32:') ? 'esptool' : 'avrdude'
+      const optionArgs = await getUploadOptionArgs(reporter, arduinoCLI, board, { verify, verbose, programmer })
+      console.log(`Uploading firmware ${firmwarePath} to ${finalUploadPort}...`)
+      const uploadResult = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'upload',
+        label: `Upload ${basename(firmwarePath)} (${uploadTool})`,
+        args: cliArgs(['upload', '-p', finalUploadPort, '--fqbn', board, ...optionArgs, '--input-file', firmwarePath]),
+        timeout: verify ? 120000 : 60000
+      })
+
+      reporter.finish(200, { 
+        success: true, 
+        message: `${basename(firmwarePath)} uploaded successfully`,
+        port: finalUploadPort,
+        monitor: reporter.monitor,
+        path: firmwarePath,
+        output: uploadResult.stdout,
+        verify: parseUploadVerify([uploadResult.stdout, uploadResult.stderr].join('\n'), verify)
+      })
+    } catch (error) {
+      console.error('Firmware upload error:', error)
+
+      if (error.cancelled) {
+        return reporter.finish(200, {
+          success: false,
+          cancelled: true,
+          error: 'Upload cancelled',
+          port: reporter.port,
+          monitor: reporter.monitor
+        })
+      }
+
+      const verifyResult = parseUploadVerify([error.stdout, error.stderr].join('\n'), verify)
+      reporter.finish(500, { 
+        success: false, 
+        error: verifyResult.passed === false
+          ? VERIFY_FAILED_MESSAGE
+          : (error.stderr || error.stdout || error.message || 'Upload failed'),
+        port: reporter.port,
+        monitor: reporter.monitor,
+        verify: verifyResult
+      })
+    }
+  })
+
+  // Board maintenance - recovery tools for a bricked board. Both steps are destructive; the renderer
+  // confirms with the student before calling them.
+
+  // Find the esptool that the installed ESP32 core ships with (newest version first)
+  async function findEsptool() {
+    const toolDir = join(arduinoDirs.data, 'packages', 'esp32', 'tools', 'esptool_py')
+    const versions = (await readdir(toolDir).catch(() => []))
+      .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+    const names = process.platform === 'win32' ? ['esptool.exe', 'esptool.py'] : ['esptool', 'esptool.py']
+
+    for (const version of versions) {
+      for (const name of names) {
+        const toolPath = join(toolDir, version, name)
+        if (existsSync(toolPath)) {
+          // Older cores only ship the Python script
+          return name.endsWith('.py')
+            ? { command: process.platform === 'win32' ? 'python' : 'python3', args: [toolPath] }
+            : { command: toolPath, args: [] }
+        }
+      }
+    }
+    return null
+  }
+
+  // Check the request names a port that is not already busy, and release it from the serial monitor
+  async function claimMaintenancePort(req, res) {
+    const { port } = req.body
+    if (!port) {
+      res.status(400).json({ success: false, error: 'Select the board\'s COM port first' })
+      return null
+    }
+    if ([...activeBuilds.values()].some(build => build.port === port)) {
+      res.status(409).json({ success: false, error: `${port} is busy with another upload` })
+      return null
+    }
+
+    const reporter = createBuildReporter(req, res)
+    reporter.port = port
+    await releaseSerialPort(port, reporter)
+    return reporter
+  }
+
+  // Erase the whole flash of an ESP32 (app, partition table and NVS) with the core's esptool
+  serverApp.post('/api/maintenance/erase-flash', async (req, res) => {
+    const { board } = req.body
+    if (!board || !board.startsWith('esp32:')) {
+      return res.status(400).json({ success: false, error: 'Erase flash is only available for ESP32 boards - select the ESP32 board first' })
+    }
+
+    const reporter = await claimMaintenancePort(req, res)
+    if (!reporter) return
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await ensureCore(reporter, arduinoCLI, 'esp32:esp32')
+
+      const esptool = await findEsptool()
+      if (!esptool) {
+        throw new Error('esptool was not found in the ESP32 core - reinstall the esp32:esp32 core')
       }
+
+      console.log(`Erasing flash on ${reporter.port}...`)
+      const result = await runBuildStage(reporter, esptool.command, {
+        stage: 'erase',
+        label: 'Erase flash (esptool)',
+        args: [...esptool.args, '--port', reporter.port, 'erase_flash'],
+        timeout: 180000
+      })
+
+      reporter.finish(200, {
+        success: true,
+        message: `Flash erased on ${reporter.port} - upload a sketch to use the board again`,
+        port: reporter.port,
+        monitor: reporter.monitor,
+        output: result.stdout
+      })
+    } catch (error) {
+      console.error('Erase flash error:', error)
+      reporter.finish(error.cancelled ? 200 : 500, {
+        success: false,
+        cancelled: !!error.cancelled,
+        error: error.cancelled ? 'Erase cancelled' : (error.stderr || error.stdout || error.message || 'Erase failed'),
+        port: reporter.port,
+        monitor: reporter.monitor
+      })
     }
   })
 
-  serverApp.post('/api/upload', async (req, res) => {
-    const { code, board, port: portName } = req.body
+  // Re-burn the bootloader of an AVR board (Mega) through an ISP programmer
+  serverApp.post('/api/maintenance/burn-bootloader', async (req, res) => {
+    const { board = 'arduino:avr:mega', programmer } = req.body
+
+    if (!programmer) {
+      return res.status(400).json({ success: false, error: 'No programmer selected' })
+    }
+    if (!board.startsWith('arduino:avr:')) {
+      return res.status(400).json({ success: false, error: 'Burn bootloader is only available for AVR boards' })
+    }
+
+    const reporter = await claimMaintenancePort(req, res)
+    if (!reporter) return
+
+    try {
+      const arduinoCLI = await findArduinoCLI()
+      await ensureCore(reporter, arduinoCLI, 'arduino:avr')
+
+      console.log(`Burning bootloader with ${programmer} on ${reporter.port}...`)
+      const result = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'bootloader',
+        label: `Burn bootloader (${programmer})`,
+        args: cliArgs(['burn-bootloader', '-b', board, '-P', programmer, '-p', reporter.port, '--verbose']),
+        timeout: 180000
+      })
+
+      reporter.finish(200, {
+        success: true,
+        message: 'Bootloader burned successfully',
+        port: reporter.port,
+        monitor: reporter.monitor,
+        output: result.stdout
+      })
+    } catch (error) {
+      console.error('Burn bootloader error:', error)
+      reporter.finish(error.cancelled ? 200 : 500, {
+        success: false,
+        cancelled: !!error.cancelled,
+        error: error.cancelled ? 'Burn bootloader cancelled' : (error.stderr || error.stdout || error.message || 'Burn bootloader failed'),
+        port: reporter.port,
+        monitor: reporter.monitor
+      })
+    }
+  })
+
+  // Build artifacts worth handing out: .hex for the Mega, .bin (app, bootloader, partitions,
+  // merged) for the ESP32, plus the ELF and linker map for archiving/debugging
+  const EXPORT_EXTENSIONS = ['.hex', '.eep', '.bin', '.elf', '.map']
+
+  // Export compiled binaries - compiles with --output-dir and copies the artifacts into a folder
+  // picked in a dialog. The destination never comes from the request, which any origin can send.
+  serverApp.post('/api/build/export', async (req, res) => {
+    const { code, board, project, projectPath, files } = req.body
 
     if (!code) {
       return res.status(400).json({ success: false, error: 'No code provided' })
@@ -510,142 +2100,166 @@ async function startServer() {
       return res.status(400).json({ success: false, error: 'No board specified' })
     }
 
-    // Ensure the port is not in use by our serial connection
-    const uploadPort = portName || 'auto'
-    if (uploadPort !== 'auto' && serialConnections.has(uploadPort)) {
-      console.log(`Port ${uploadPort} is in use, closing connection...`)
-      const connection = serialConnections.get(uploadPort)
-      serialConnections.delete(uploadPort)
-      serialDataBuffers.delete(uploadPort)
-      
-      if (connection && connection.serialPort.isOpen) {
-        await new Promise((resolve) => {
-          connection.serialPort.close((error) => {
-            if (error) console.error('Close error:', error)
-            // Wait for port to be fully released by OS
-            setTimeout(resolve, 2000)
-          })
-        })
-      }
-      console.log(`Port ${uploadPort} released, proceeding with upload...`)
+    const filesError = validateSketchFiles(files)
+    if (filesError) {
+      return res.status(400).json({ success: false, error: filesError })
     }
 
-    let arduinoCLI
-    let sketchDir
-    let sketchFile
+    const { projectDir, sketchDir, buildPath } = getBuildPaths(project, board, projectPath)
+    if (isSketchBuilding(sketchDir)) {
+      return res.status(409).json({ success: false, error: 'A build is already running for this project' })
+    }
 
-    try {
-      arduinoCLI = await findArduinoCLI()
+    // Register the build before the dialog opens, so a second export or a Verify started while
+    // it is open sees the project as busy instead of rewriting the same sketch folder
+    const reporter = createBuildReporter(req, res)
+    reporter.sketchDir = sketchDir
+
+    // Ask for the destination first so a cancelled dialog does not cost a compile
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Export Compiled Binaries',
+      buttonLabel: 'Export Here',
+      defaultPath: app.getPath('documents'),
+      properties: ['openDirectory', 'createDirectory']
+    })
+    if (canceled || filePaths.length === 0 || reporter.cancelled) {
+      return reporter.finish(200, { success: false, cancelled: true, error: 'Export cancelled' })
+    }
+    const exportPath = filePaths[0]
 
-      const timestamp = Date.now()
-      const sketchName = `sketch_${timestamp}`
-      sketchDir = join(tempDir, sketchName)
-      await mkdir(sketchDir, { recursive: true })
+    const outputDir = join(projectDir, 'export', board.replace(/[^a-zA-Z0-9_-]/g, '_'))
+    let exporting = false
 
-      // Arduino CLI requires the main file to have the same name as the folder
-      sketchFile = join(sketchDir, `${sketchName}.ino`)
-      await writeFile(sketchFile, code, 'utf8')
+    try {
+      const arduinoCLI = await findArduinoCLI()
 
-      console.log('Updating core index...')
-      try {
-        await execAsync(`"${arduinoCLI}" core update-index`, { timeout: 60000 })
-      } catch (error) {
-        console.warn('Core update failed, continuing...', error.message)
-      }
+      await writeSketch(sketchDir, code, files)
 
       const coreName = board.split(':').slice(0, 2).join(':')
-      console.log(`Installing core: ${coreName}...`)
-      try {
-        await execAsync(`"${arduinoCLI}" core install ${coreName}`, { timeout: 120000 })
-      } catch (error) {
-        console.warn('Core install failed, may already be installed:', error.message)
+      await ensureCore(reporter, arduinoCLI, coreName)
+
+      await rm(outputDir, { recursive: true, force: true })
+      await mkdir(outputDir, { recursive: true })
+
+      console.log('Compiling sketch for export...')
+      const compileResult = await runBuildStage(reporter, arduinoCLI, {
+        stage: 'compile',
+        label: 'Compile',
+        args: cliArgs(['compile', '--fqbn', board, '--build-path', buildPath, '--build-cache-path', coreCacheDir, '--output-dir', outputDir, sketchDir]),
+        timeout: 120000
+      })
+      const output = [compileResult.stdout, compileResult.stderr].filter(Boolean).join('\n')
+
+      exporting = true
+      reporter.stage('export', 'running', 'Save binaries')
+
+      // Not every core copies the linker map to --output-dir - pick it up from the build path
+      const sketchName = `${basename(sketchDir)}.ino`
+      if (!existsSync(join(outputDir, `${sketchName}.map`)) && existsSync(join(buildPath, `${sketchName}.map`))) {
+        await copyFile(join(buildPath, `${sketchName}.map`), join(outputDir, `${sketchName}.map`))
       }
 
-      console.log('Compiling sketch...')
-      const compileCommand = `"${arduinoCLI}" compile --fqbn ${board} "${sketchDir}"`
-      const compileResult = await execAsync(compileCommand, { timeout: 120000 })
-      
-      if (compileResult.stderr && !compileResult.stderr.includes('Sketch uses')) {
-        console.warn('Compile warnings:', compileResult.stderr)
+      // sketch.ino.hex -> <project>.ino.hex, so files from different projects do not collide
+      await mkdir(exportPath, { recursive: true })
+      const exportedFiles = []
+      for (const name of await readdir(outputDir)) {
+        if (!EXPORT_EXTENSIONS.some(ext => name.endsWith(ext))) continue
+        const exportName = name.replace(basename(sketchDir), sanitizeProjectName(project))
+        await copyFile(join(outputDir, name), join(exportPath, exportName))
+        reporter.output(`Saved ${join(exportPath, exportName)}\n`)
+        exportedFiles.push(exportName)
       }
 
-      let finalUploadPort = uploadPort
-      if (!finalUploadPort || finalUploadPort === 'auto') {
-        console.log('Port not specified or set to auto, detecting available ports...')
-        const { stdout: portList } = await execAsync(`"${arduinoCLI}" board list`)
-        const lines = portList.split('\n').slice(1)
-        // Filter out COM1 (usually system port) and prefer EBLOCKS devices
-        const eblocksPort = lines.find(line => {
-          const upper = line.toUpperCase()
-          return line.trim() && !line.includes('Disconnected') && 
-                 (upper.includes('EBLOCKS') || upper.includes('MEGA') || upper.includes('ARDUINO'))
-        })
-        const firstPort = eblocksPort || lines.find(line => line.trim() && !line.includes('Disconnected'))
-        if (firstPort) {
-          finalUploadPort = firstPort.trim().split(/\s+/)[0]
-          console.log(`Auto-detected port: ${finalUploadPort}`)
-        }
-      } else {
-        console.log(`Using specified port: ${finalUploadPort}`)
+      if (exportedFiles.length === 0) {
+        throw new Error('The compiler did not produce any binaries to export')
       }
+      reporter.stage('export', 'done', 'Save binaries')
 
-      if (!finalUploadPort) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'No serial port found. Please connect your device.' 
+      reporter.finish(200, {
+        success: true,
+        message: `Exported ${exportedFiles.length} file${exportedFiles.length === 1 ? '' : 's'} to ${exportPath}`,
+        path: exportPath,
+        files: exportedFiles,
+        output,
+        usage: parseSketchUsage(output),
+        diagnostics: parseCompilerDiagnostics(output, sketchDir)
+      })
+    } catch (error) {
+      console.error('Export error:', error)
+
+      if (error.cancelled) {
+        await removeBuildPath(buildPath)
+        return reporter.finish(200, {
+          success: false,
+          cancelled: true,
+          error: 'Export cancelled'
         })
       }
 
-      // Double-check port is not in use
-      if (serialConnections.has(finalUploadPort)) {
-        console.warn(`Warning: Port ${finalUploadPort} still appears to be in use`)
-        // Force close it
-        const conn = serialConnections.get(finalUploadPort)
-        serialConnections.delete(finalUploadPort)
-        if (conn && conn.serialPort.isOpen) {
-          conn.serialPort.close()
-          await new Promise(resolve => setTimeout(resolve, 2000))
-        }
+      if (exporting) {
+        reporter.stage('export', 'failed', 'Save binaries')
       }
+      reporter.finish(500, {
+        success: false,
+        error: error.stderr || error.message || 'Export failed',
+        diagnostics: parseCompilerDiagnostics(error.stderr, sketchDir)
+      })
+    }
+  })
 
-      console.log(`Uploading to port: ${finalUploadPort}...`)
-      const uploadCommand = `"${arduinoCLI}" upload -p ${finalUploadPort} --fqbn ${board} "${sketchDir}"`
-      const uploadResult = await execAsync(uploadCommand, { timeout: 60000 })
+  // Clean build - delete a project's cached build output (and optionally the shared core cache)
+  serverApp.post('/api/build/clean', async (req, res) => {
+    const { project, projectPath, includeCoreCache = false } = req.body
+    const { projectDir, sketchDir } = getBuildPaths(project, '', projectPath)
+
+    if (isSketchBuilding(sketchDir)) {
+      return res.status(409).json({ success: false, error: 'Cannot clean while a build is running' })
+    }
 
-      await rm(sketchDir, { recursive: true, force: true })
+    try {
+      await rm(join(projectDir, 'build'), { recursive: true, force: true })
+      if (includeCoreCache) {
+        await rm(coreCacheDir, { recursive: true, force: true })
+        await mkdir(coreCacheDir, { recursive: true })
+      }
 
+      console.log(`Cleaned build cache for project ${sanitizeProjectName(project)}`)
       res.json({ 
         success: true, 
-        message: 'Code uploaded successfully',
-        port: finalUploadPort,
-        output: uploadResult.stdout
+        message: includeCoreCache ? 'Build cache and core cache cleared' : 'Build cache cleared'
       })
-
     } catch (error) {
-      console.error('Upload error:', error)
-      
-      if (sketchDir) {
-        try {
-          await rm(sketchDir, { recursive: true, force: true })
-        } catch (cleanupError) {
-          console.error('Cleanup error:', cleanupError)
-        }
-      }
-
-      let errorMessage = error.message || 'Upload failed'
-      if (error.stderr) {
-        errorMessage = error.stderr
-      } else if (error.stdout) {
-        errorMessage = error.stdout
-      }
-
+      console.error('Clean build error:', error)
       res.status(500).json({ 
         success: false, 
-        error: errorMessage 
+        error: error.message || 'Failed to clean build cache' 
       })
     }
   })
 
+  // Cancel an in-flight compile or upload
+  serverApp.post('/api/build/cancel', async (req, res) => {
+    const { buildId } = req.body
+
+    if (!buildId) {
+      return res.status(400).json({ success: false, error: 'Build ID not specified' })
+    }
+
+    const build = activeBuilds.get(buildId)
+    if (!build) {
+      return res.json({ success: true, message: 'Build already finished' })
+    }
+
+    // Waits until the build route has cleaned up and responded
+    await build.cancel()
+
+    res.json({ 
+      success: true, 
+      message: 'Build cancelled',
+      port: build.port
+    })
+  })
+
   serverApp.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() })
   })
@@ -790,7 +2404,7 @@ async function startServer() {
         })
       })
 
-      serialConnections.set(port, { serialPort, parser })
+      serialConnections.set(port, { serialPort, parser, baudRate: parseInt(baudRate) })
 
       res.json({ 
         success: true, 
@@ -1192,6 +2806,27 @@ function createWindow() {
     }
   })
 
+  // Unsaved sketch changes - ask before the window closes
+  mainWindow.on('close', (event) => {
+    if (!projectDirty) return
+
+    const response = dialog.showMessageBoxSync(mainWindow, {
+      type: 'warning',
+      buttons: ['Close Without Saving', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: 'Your sketch has unsaved changes',
+      detail: 'Close the app anyway? Unsaved changes will be lost.'
+    })
+    if (response !== 0) {
+      event.preventDefault()
+    } else {
+      // The changes were thrown away on purpose - nothing to recover next time
+      projectDirty = false
+      rmSync(getAutosavePath(), { force: true })
+    }
+  })
+
   mainWindow.on('closed', () => {
     mainWindow = null
   })
@@ -1254,6 +2889,434 @@ function createShopWindow() {
   })
 }
 
+// Sketch projects on disk - an Arduino sketch folder (<name>/<name>.ino) plus its .h/.cpp tabs.
+// The renderer reaches these through the preload electronAPI bridge.
+const PROJECT_FILE_EXTENSIONS = ['.ino', '.h', '.hpp', '.c', '.cpp', '.S']
+const MAX_RECENT_PROJECTS = 10
+
+// Set by the renderer whenever the open project has unsaved changes
+let projectDirty = false
+
+// Path of a project file, or null when the name would escape the project folder
+function resolveProjectFile(projectPath, name) {
+  const filePath = join(projectPath, ...name.split('/'))
+  const relativePath = relative(projectPath, filePath)
+  if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    return null
+  }
+  return filePath
+}
+
+function getRecentProjectsPath() {
+  return join(app.getPath('userData'), 'recent-projects.json')
+}
+
+async function loadRecentProjects() {
+  try {
+    const recent = JSON.parse(await readFile(getRecentProjectsPath(), 'utf8'))
+    return Array.isArray(recent) ? recent.filter(project => existsSync(project.path)) : []
+  } catch (error) {
+    return []
+  }
+}
+
+async function addRecentProject(projectPath) {
+  const recent = (await loadRecentProjects()).filter(project => project.path !== projectPath)
+  recent.unshift({ path: projectPath, name: basename(projectPath), openedAt: new Date().toISOString() })
+  await writeFile(getRecentProjectsPath(), JSON.stringify(recent.slice(0, MAX_RECENT_PROJECTS), null, 2), 'utf8')
+}
+
+// Read the sketch files of a project folder - the top level and the src/ sub-folder, which
+// arduino-cli compiles recursively. The main .ino comes first.
+async function readProjectFolder(projectPath, mainFile) {
+  const files = []
+
+  async function collect(dir, prefix, recursive) {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+    for (const entry of entries) {
+      const name = prefix + entry.name
+      if (entry.isDirectory()) {
+        if (recursive) await collect(join(dir, entry.name), `${name}/`, true)
+      } else if (PROJECT_FILE_EXTENSIONS.some(ext => entry.name.endsWith(ext))) {
+        files.push({ name, content: await readFile(join(dir, entry.name), 'utf8') })
+      }
+    }
+  }
+
+  await collect(projectPath, '', false)
+  await collect(join(projectPath, 'src'), 'src/', true)
+
+  const main = files.find(file => file.name === mainFile)
+  if (!main) {
+    throw new Error(`${mainFile} was not found in ${projectPath}`)
+  }
+  return [main, ...files.filter(file => file !== main).sort((a, b) => a.name.localeCompare(b.name))]
+}
+
+// A loose .ino (e.g. Downloads/blink.ino) is not a sketch - its folder holds unrelated files.
+// Offer to copy it into a sketch folder named after it, as the Arduino IDE does.
+async function copyIntoSketchFolder(filePath) {
+  const name = basename(filePath).replace(/\.ino$/i, '').replace(/[^A-Za-z0-9_-]/g, '_')
+  const sketchPath = join(dirname(filePath), name)
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Copy into Sketch Folder', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `${basename(filePath)} is not inside a sketch folder`,
+    detail: `A sketch has to be in a folder with the same name. Copy it to ${join(sketchPath, `${name}.ino`)} and open it from there?`
+  })
+  if (response !== 0) {
+    return null
+  }
+
+  if (existsSync(sketchPath) && (await readdir(sketchPath)).length > 0) {
+    throw new Error(`The folder ${sketchPath} already exists - move ${basename(filePath)} into a sketch folder yourself`)
+  }
+  await mkdir(sketchPath, { recursive: true })
+  await copyFile(filePath, join(sketchPath, `${name}.ino`))
+  return sketchPath
+}
+
+// Open a project. Picking <folder>.ino opens its folder; any other .ino is first copied into a sketch folder.
+ipcMain.handle('project-open', async (event, projectPath = null) => {
+  try {
+    if (!projectPath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Open Sketch',
+        defaultPath: app.getPath('documents'),
+        filters: [{ name: 'Arduino Sketch', extensions: ['ino'] }],
+        properties: ['openFile']
+      })
+      if (canceled || filePaths.length === 0) {
+        return { success: false, cancelled: true }
+      }
+      projectPath = dirname(filePaths[0])
+      if (!existsSync(join(projectPath, `${basename(projectPath)}.ino`))) {
+        projectPath = await copyIntoSketchFolder(filePaths[0])
+        if (!projectPath) {
+          return { success: false, cancelled: true }
+        }
+      }
+    }
+
+    const mainFile = `${basename(projectPath)}.ino`
+
+    const files = await readProjectFolder(projectPath, mainFile)
+    await addRecentProject(projectPath)
+    return { success: true, path: projectPath, name: basename(projectPath), files }
+  } catch (error) {
+    console.error('Error opening project:', error)
+    return { success: false, error: error.message }
+  }
+})
+
+// Write a project's files into its folder and delete the files removed in the editor
+ipcMain.handle('project-save', async (event, { path: projectPath, files, removed = [] }) => {
+  try {
+    await mkdir(projectPath, { recursive: true })
+    for (const file of files) {
+      const filePath = resolveProjectFile(projectPath, file.name)
+      if (!filePath) {
+        throw new Error(`Invalid file name: ${file.name}`)
+      }
+      await mkdir(dirname(filePath), { recursive: true })
+      await writeFile(filePath, file.content, 'utf8')
+    }
+
+    for (const name of removed) {
+      if (files.some(file => file.name === name)) continue
+      if (!PROJECT_FILE_EXTENSIONS.some(ext => name.endsWith(ext))) continue
+      const filePath = resolveProjectFile(projectPath, name)
+      if (!filePath) continue
+      await rm(filePath, { force: true })
+    }
+
+    await addRecentProject(projectPath)
+    return { success: true, path: projectPath, name: basename(projectPath) }
+  } catch (error) {
+    console.error('Error saving project:', error)
+    return { success: false, error: error.message }
+  }
+})
+
+// Ask where to save a project. The chosen name becomes the sketch folder (and its main <name>.ino).
+ipcMain.handle('project-choose-location', async (event, suggestedName = 'sketch') => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save Sketch As',
+    defaultPath: join(app.getPath('documents'), 'Arduino', suggestedName),
+    buttonLabel: 'Save',
+    properties: ['createDirectory', 'showOverwriteConfirmation']
+  })
+  if (canceled || !filePath) {
+    return { success: false, cancelled: true }
+  }
+
+  // Arduino sketch folder names: letters, numbers, _ and - only
+  const name = basename(filePath).replace(/\.ino$/i, '').replace(/[^A-Za-z0-9_-]/g, '_')
+  const projectPath = join(dirname(filePath), name)
+  if (existsSync(projectPath) && (await readdir(projectPath)).length > 0) {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      buttons: ['Replace', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `The folder ${name} already exists`,
+      detail: 'Sketch files with the same names will be overwritten.'
+    })
+    if (response !== 0) {
+      return { success: false, cancelled: true }
+    }
+  }
+  return { success: true, path: projectPath, name }
+})
+
+ipcMain.handle('project-recent', async () => {
+  return { success: true, projects: await loadRecentProjects() }
+})
+
+ipcMain.on('project-dirty', (event, dirty) => {
+  projectDirty = !!dirty
+})
+
+// Autosave - while there are unsaved changes the renderer sends its open buffers every few
+// seconds. The snapshot outlives a crash and is offered back on the next launch.
+function getAutosavePath() {
+  return join(app.getPath('userData'), 'autosave', 'session.json')
+}
+
+ipcMain.handle('autosave-write', async (event, snapshot) => {
+  try {
+    const autosavePath = getAutosavePath()
+    await mkdir(dirname(autosavePath), { recursive: true })
+    // Write a temp file and rename it, so a crash mid-write never leaves half a snapshot
+    const tempPath = `${autosavePath}.tmp`
+    await writeFile(tempPath, JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }), 'utf8')
+    await rename(tempPath, autosavePath)
+    return { success: true }
+  } catch (error) {
+    console.error('Error writing autosave:', error)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('autosave-clear', async () => {
+  await rm(getAutosavePath(), { force: true })
+  return { success: true }
+})
+
+// The snapshot left by the last session, with the saved content of each file on disk for the restore diff
+ipcMain.handle('autosave-load', async () => {
+  let snapshot
+  try {
+    snapshot = JSON.parse(await readFile(getAutosavePath(), 'utf8'))
+  } catch (error) {
+    return { success: true, snapshot: null }
+  }
+  if (!Array.isArray(snapshot.files) || snapshot.files.length === 0) {
+    return { success: true, snapshot: null }
+  }
+
+  const savedFiles = {}
+  if (snapshot.path && existsSync(snapshot.path)) {
+    for (const file of snapshot.files) {
+      const filePath = resolveProjectFile(snapshot.path, file.name)
+      if (filePath && existsSync(filePath)) {
+        savedFiles[file.name] = await readFile(filePath, 'utf8')
+      }
+    }
+  }
+  return { success: true, snapshot, savedFiles }
+})
+
+// Version history - a snapshot of the project on every save and successful upload, so students
+// can get back to a version that worked. One folder per project under userData/history.
+const MAX_HISTORY_VERSIONS = 100
+// Version ids are <timestamp>-<sequence>: a save and an upload in the same millisecond get different
+// files, and the ids still sort oldest to newest. Ids from older versions are just the timestamp.
+const HISTORY_ID_PATTERN = /^\d+(-\d+)?$/
+let historySequence = 0
+
+function getHistoryDir({ path: projectPath, name }) {
+  const key = createHash('sha1').update(projectPath || `untitled:${name}`).digest('hex').slice(0, 16)
+  return join(app.getPath('userData'), 'history', key)
+}
+
+// Versions of a project, newest first
+async function loadHistory(project) {
+  const historyDir = getHistoryDir(project)
+  const entries = (await readdir(historyDir).catch(() => []))
+    .filter(entry => entry.endsWith('.json'))
+    .sort()
+    .reverse()
+
+  const versions = []
+  for (const entry of entries) {
+    try {
+      versions.push(JSON.parse(await readFile(join(historyDir, entry), 'utf8')))
+    } catch (error) {
+      console.error(`Skipping unreadable history entry ${entry}:`, error.message)
+    }
+  }
+  return versions
+}
+
+ipcMain.handle('history-add', async (event, { project, kind, label, files }) => {
+  try {
+    const versions = await loadHistory(project)
+
+    // Saving the same content twice adds nothing; uploads are always recorded (they say what is on the board)
+    const latest = versions[0]
+    if (kind === 'save' && latest && JSON.stringify(latest.files) === JSON.stringify(files)) {
+      return { success: true, skipped: true }
+    }
+
+    const historyDir = getHistoryDir(project)
+    await mkdir(historyDir, { recursive: true })
+    const createdAt = new Date()
+    historySequence = (historySequence + 1) % 10000
+    const id = `${createdAt.getTime()}-${String(historySequence).padStart(4, '0')}`
+    await writeFile(join(historyDir, `${id}.json`), JSON.stringify({
+      id,
+      kind,
+      label,
+      createdAt: createdAt.toISOString(),
+      project: { path: project.path || null, name: project.name },
+      files
+    }), 'utf8')
+
+    for (const version of versions.slice(MAX_HISTORY_VERSIONS - 1)) {
+      await rm(join(historyDir, `${version.id}.json`), { force: true })
+    }
+    return { success: true, id }
+  } catch (error) {
+    console.error('Error recording version history:', error)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('history-list', async (event, project) => {
+  const versions = await loadHistory(project)
+  return {
+    success: true,
+    versions: versions.map(({ id, kind, label, createdAt, files }) => ({ id, kind, label, createdAt, fileCount: files.length }))
+  }
+})
+
+ipcMain.handle('history-get', async (event, project, id) => {
+  // The id becomes a file name - anything else could reach outside the history folder
+  if (typeof id !== 'string' || !HISTORY_ID_PATTERN.test(id)) {
+    return { success: false, error: 'Version not found' }
+  }
+  try {
+    const version = JSON.parse(await readFile(join(getHistoryDir(project), `${id}.json`), 'utf8'))
+    return { success: true, version }
+  } catch (error) {
+    return { success: false, error: 'Version not found' }
+  }
+})
+
+// clangd language server process. /api/clangd/start prepares the compile database and starts
+// it; LSP messages are passed between clangd's stdio (Content-Length framed JSON-RPC) and the
+// renderer's language client over IPC.
+let clangdProcess = null
+let clangdReadableRoots = [] // Folders whose files the renderer may open (sketch copy, cores, libraries)
+
+function stopClangd() {
+  if (!clangdProcess) return
+  const child = clangdProcess
+  clangdProcess = null
+  child.kill()
+}
+
+function startClangd(clangdPath, compileCommandsDir, readableRoots) {
+  stopClangd()
+
+  const child = spawn(clangdPath, [
+    `--compile-commands-dir=${compileCommandsDir}`,
+    '--background-index',
+    '--header-insertion=never',
+    '--log=error'
+  ], { windowsHide: true })
+  clangdProcess = child
+  clangdReadableRoots = readableRoots
+
+  let buffer = Buffer.alloc(0)
+  child.stdout.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk])
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n')
+      if (headerEnd === -1) break
+      const lengthMatch = buffer.slice(0, headerEnd).toString('ascii').match(/Content-Length: *(\d+)/i)
+      const length = lengthMatch ? parseInt(lengthMatch[1]) : 0
+      if (buffer.length < headerEnd + 4 + length) break
+
+      const body = buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf8')
+      buffer = buffer.slice(headerEnd + 4 + length)
+      let message
+      try {
+        message = JSON.parse(body)
+      } catch (error) {
+        // A throw here would be uncaught in the main process - drop the frame instead
+        console.error('clangd: dropped malformed message:', error.message)
+        continue
+      }
+      if (mainWindow && child === clangdProcess) {
+        mainWindow.webContents.send('clangd-message', message)
+      }
+    }
+  })
+
+  // Writes racing clangd's exit fail with EPIPE; the exit handler below already reports it
+  child.stdin.on('error', (error) => {
+    console.error('clangd stdin:', error.message)
+  })
+
+  child.stderr.on('data', (chunk) => {
+    console.error('clangd:', chunk.toString().trim())
+  })
+
+  child.on('error', (error) => {
+    console.error('clangd failed to start:', error)
+  })
+
+  child.on('exit', (code) => {
+    console.log(`clangd exited with code ${code}`)
+    if (child === clangdProcess) {
+      clangdProcess = null
+      // Tell the renderer so it stops waiting for responses
+      if (mainWindow) {
+        mainWindow.webContents.send('clangd-message', { method: 'eblocks/clangdExited', params: { code } })
+      }
+    }
+  })
+}
+
+ipcMain.on('clangd-send', (event, message) => {
+  if (!clangdProcess) return
+  const body = Buffer.from(JSON.stringify(message), 'utf8')
+  clangdProcess.stdin.write(`Content-Length: ${body.length}\r\n\r\n`)
+  clangdProcess.stdin.write(body)
+})
+
+// Source of a header clangd points at (go-to-definition into a core or library)
+ipcMain.handle('clangd-read-file', async (event, filePath) => {
+  const resolved = normalize(filePath)
+  const allowed = clangdReadableRoots.some(root => {
+    const relativePath = relative(root, resolved)
+    return relativePath && !relativePath.startsWith('..') && !isAbsolute(relativePath)
+  })
+  if (!allowed) {
+    return { success: false, error: 'File is outside the sketch, cores and libraries' }
+  }
+
+  try {
+    return { success: true, content: await readFile(resolved, 'utf8') }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
 // IPC handler for opening shop window
 ipcMain.handle('open-shop-window', async () => {
   createShopWindow()
@@ -1432,5 +3495,6 @@ app.on('before-quit', () => {
   if (serverProcess) {
     serverProcess.kill()
   }
+  stopClangd()
 })
 
@@ -4,6 +4,29 @@ const { contextBridge, ipcRenderer } = require('electron')
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   openShop: () => ipcRenderer.invoke('open-shop-window'),
-  openExternal: (url) => ipcRenderer.invoke('open-external', url)
+  openExternal: (url) => ipcRenderer.invoke('open-external', url),
+  // Sketch projects on disk
+  openProject: (path) => ipcRenderer.invoke('project-open', path),
+  saveProject: (project) => ipcRenderer.invoke('project-save', project),
+  chooseProjectLocation: (suggestedName) => ipcRenderer.invoke('project-choose-location', suggestedName),
+  getRecentProjects: () => ipcRenderer.invoke('project-recent'),
+  setProjectDirty: (dirty) => ipcRenderer.send('project-dirty', dirty),
+  // Autosave / crash recovery
+  writeAutosave: (snapshot) => ipcRenderer.invoke('autosave-write', snapshot),
+  loadAutosave: () => ipcRenderer.invoke('autosave-load'),
+  clearAutosave: () => ipcRenderer.invoke('autosave-clear'),
+  // Version history
+  addHistoryVersion: (version) => ipcRenderer.invoke('history-add', version),
+  getHistory: (project) => ipcRenderer.invoke('history-list', project),
+  getHistoryVersion: (project, id) => ipcRenderer.invoke('history-get', project, id),
+  // clangd language server (started with POST /api/clangd/start)
+  sendToClangd: (message) => ipcRenderer.send('clangd-send', message),
+  // Returns a function that removes the listener
+  onClangdMessage: (callback) => {
+    const listener = (event, message) => callback(message)
+    ipcRenderer.on('clangd-message', listener)
+    return () => ipcRenderer.removeListener('clangd-message', listener)
+  },
+  readClangdFile: (path) => ipcRenderer.invoke('clangd-read-file', path)
 })
 
@@ -82,9 +82,24 @@ let monacoEditor = null;
 let isConnected = false;
 let selectedPort = null;
 let detectedBoardFQBN = null; // Store the detected board FQBN from the connected port
-let portInfoMap = new Map(); // Map to store port information (port -> {fqbn, board})
+let portInfoMap = new Map(); // Map to store port information (port -> { port, board, fqbn, protocol, serialNumber, eblocks, usbInfo })
 let serialData = [];
 let selectedComboPorts = 'a/b'; // Selected port pair for combo board (default: A/B)
+let currentBuildId = null; // ID of the in-flight compile/upload (used by the Cancel button)
+let currentProjectName = 'default'; // Project name - selects the persistent build cache on the server
+let boardDetailsCache = {}; // Base FQBN -> board config options from arduino-cli
+let projectFiles = []; // Sketch files shown as editor tabs - [{ name, model, viewState }], the first is the main .ino
+let activeFileName = null; // Name of the file shown in the editor
+let currentProjectPath = null; // Sketch folder on disk - null until the project is opened or saved
+let savedFileNames = []; // Files in the sketch folder at the last open/save (deleted tabs are removed from disk on save)
+let projectStructureChanged = false; // Tabs added, renamed or deleted since the last open/save
+let lastDirtyState = null;
+let autosaveSignature = null; // Buffer versions in the last autosave snapshot - null when this session has none on disk
+let recoveryData = null; // Autosave left by the last session ({ snapshot, savedFiles }) while the restore prompt is open
+let recoveryDiffEditor = null;
+let historyVersion = null; // Version shown in the history panel ({ id, label, createdAt, files })
+let historyDiffEditor = null;
+let historyDiffModels = []; // Models created for the history diff (the project's own models are never disposed here)
 
 // Initialize Monaco Editor - REQUIRED, app cannot function without it
 // Only initialize if we're on a page that needs it (has monaco-editor container)
@@ -124,8 +139,7 @@ if (editorContainer) {
     const minimap = localStorage.getItem('editor-minimap') !== 'false';
 
     monacoEditor = monaco.editor.create(editorContainer, {
-      value: DEFAULT_CODE,
-      language: 'cpp',
+      model: null,
       theme: 'vs-dark',
       minimap: { enabled: minimap },
       fontSize: fontSize,
@@ -139,6 +153,21 @@ if (editorContainer) {
 
     console.log('Monaco Editor initialized successfully');
 
+    // Arduino API completion, signature help and hover docs
+    registerArduinoLanguageFeatures();
+    registerEBlocksLint();
+    registerFormatter();
+    if (window.electronAPI) {
+      registerLanguageServerFeatures();
+    }
+
+    // Start with a single-file project holding the default sketch
+    setProjectFiles([{ name: MAIN_SKETCH_FILE, content: DEFAULT_CODE }]);
+
+    // Offer back unsaved work from a session that crashed, then keep autosaving
+    checkAutosaveRecovery();
+    setInterval(autosaveProject, AUTOSAVE_INTERVAL);
+
     // Ensure editor resizes when window resizes
     window.addEventListener('resize', () => {
       if (monacoEditor) {
@@ -307,14 +336,19 @@ async function refreshPorts() {
     }
 
     if (result.success && result.ports.length > 0 && select) {
-      result.ports.forEach(port => {
+      // Network ports (ESP32 OTA) cannot be opened by the serial monitor
+      result.ports.filter(port => port.protocol === 'serial').forEach(port => {
         const option = document.createElement('option');
         option.value = port.port;
         option.textContent = `${port.port} - ${port.board}`;
+        option.title = [
+          port.fqbn ? `FQBN: ${port.fqbn}` : null,
+          port.serialNumber ? `Serial number: ${port.serialNumber}` : null
+        ].filter(Boolean).join('\n');
         option.dataset.fqbn = port.fqbn || '';
         select.appendChild(option);
         // Store port information
-        portInfoMap.set(port.port, { fqbn: port.fqbn, board: port.board });
+        portInfoMap.set(port.port, port);
         // Debug logging
         console.log('Port detected:', port.port, 'Board:', port.board, 'FQBN:', port.fqbn, 'USB Info:', port.usbInfo);
       });
@@ -423,203 +457,3076 @@ function updateConnectionStatus(connected, port = null, detectedFQBN = null) {
   }
 }
 
-// Flash warning when no port is selected
-function flashPortWarning() {
-  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
-  const warning = document.getElementById('port-warning') || document.getElementById('settings-port-warning');
-  
-  if (!portSelect || !warning) return;
-  
-  // Check if port is selected
-  if (!portSelect.value || portSelect.value === '') {
-    // Add flash class to dropdown
-    portSelect.classList.add('flash-warning');
-    
-    // Show and flash warning message
-    warning.style.display = 'block';
-    
-    // Remove flash class after animation completes
-    setTimeout(() => {
-      portSelect.classList.remove('flash-warning');
-    }, 1500); // 3 flashes * 0.5s = 1.5s
-    
-    // Hide warning message after animation
-    setTimeout(() => {
-      warning.style.display = 'none';
-    }, 1500);
-  }
+// Flash warning when no port is selected
+function flashPortWarning() {
+  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
+  const warning = document.getElementById('port-warning') || document.getElementById('settings-port-warning');
+  
+  if (!portSelect || !warning) return;
+  
+  // Check if port is selected
+  if (!portSelect.value || portSelect.value === '') {
+    // Add flash class to dropdown
+    portSelect.classList.add('flash-warning');
+    
+    // Show and flash warning message
+    warning.style.display = 'block';
+    
+    // Remove flash class after animation completes
+    setTimeout(() => {
+      portSelect.classList.remove('flash-warning');
+    }, 1500); // 3 flashes * 0.5s = 1.5s
+    
+    // Hide warning message after animation
+    setTimeout(() => {
+      warning.style.display = 'none';
+    }, 1500);
+  }
+}
+
+// Get the reason why upload is disabled
+function getUploadDisabledReason() {
+  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
+  const port = portSelect ? portSelect.value : null;
+  const boardSelect = document.getElementById('editor-board-select');
+  const selectedBoardType = boardSelect ? boardSelect.value : null;
+  
+  // Check if port is selected
+  if (!port || port === '') {
+    return 'no-port';
+  }
+  
+  // Check connection status
+  const isFullyConnected = isConnected && selectedPort && 
+    (selectedBoardType === 'pic' ? selectedPort !== null : 
+     (detectedBoardFQBN && (
+       (selectedBoardType === 'arduino:avr:mega' && detectedBoardFQBN.startsWith('arduino:avr:mega')) ||
+       (selectedBoardType === 'esp32:esp32:esp32' && detectedBoardFQBN.startsWith('esp32:esp32')) ||
+       (detectedBoardFQBN === selectedBoardType || detectedBoardFQBN.startsWith(selectedBoardType + ':'))
+     )));
+  
+  if (!isFullyConnected) {
+    return 'board-disconnected';
+  }
+  
+  return null; // Not disabled
+}
+
+// Flash upload button warning
+function flashUploadWarning() {
+  const uploadBtn = document.getElementById('upload-btn');
+  const uploadStatus = document.getElementById('upload-status');
+  
+  if (!uploadBtn || !uploadStatus) return;
+  
+  const reason = getUploadDisabledReason();
+  if (!reason) return; // Button is enabled, no warning needed
+  
+  // Determine message based on reason
+  let message = '';
+  if (reason === 'no-port') {
+    message = 'No COM port selected';
+  } else if (reason === 'board-disconnected') {
+    message = 'E-Blocks board disconnected';
+  }
+  
+  // Add flash class to button
+  uploadBtn.classList.add('flash-warning');
+  
+  // Show warning message
+  uploadStatus.className = 'upload-status error';
+  uploadStatus.textContent = message;
+  uploadStatus.style.display = 'block';
+  
+  // Remove flash class after animation completes
+  setTimeout(() => {
+    uploadBtn.classList.remove('flash-warning');
+  }, 1500);
+  
+  // Hide warning message after animation
+  setTimeout(() => {
+    uploadStatus.style.display = 'none';
+  }, 2000);
+}
+
+// Upload code
+async function uploadCode() {
+  if (!monacoEditor) {
+    showUploadStatus('error', 'Editor not ready');
+    return;
+  }
+
+  const { code, files } = getProjectSources();
+  const mainFileName = getMainFile().name;
+  const board = getSelectedFQBN();
+  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
+  const port = portSelect ? (portSelect.value || 'auto') : 'auto';
+
+  // Check if port is selected
+  if (!portSelect || !portSelect.value || portSelect.value === '') {
+    flashPortWarning();
+    showUploadStatus('error', 'Please select a COM port first');
+    return;
+  }
+
+  if (!code.trim()) {
+    showUploadStatus('error', 'Please enter some code to upload');
+    return;
+  }
+
+  const uploadBtn = document.getElementById('upload-btn');
+  uploadBtn.disabled = true;
+  uploadBtn.textContent = 'Compiling...';
+  showUploadStatus('info', 'Compiling code...');
+
+  try {
+    // Stream build progress - a first-time core install can take several minutes
+    const result = await runBuildRequest('/api/upload', { code, files, board, port, project: currentProjectName, projectPath: currentProjectPath, ...getUploadOptions() }, ['index', 'core', 'compile', 'upload'], (stage) => {
+      if (stage.state === 'running') {
+        uploadBtn.textContent = stage.stage === 'upload' ? 'Uploading...' : 'Compiling...';
+        showUploadStatus('info', `${stage.label}...`);
+      }
+    });
+
+    showSketchUsage(result.usage, board, 'upload');
+
+    if (result.success) {
+      uploadBtn.textContent = 'Upload Code';
+      const warning = getSketchUsageWarning(result.usage, board);
+      const verifyText = describeUploadVerify(result.verify);
+      let message = result.message || 'Code uploaded successfully!';
+      if (verifyText) {
+        message += ` - ${verifyText}`;
+      }
+      showUploadStatus(warning ? 'info' : 'success', warning ? `${message}. ${warning}` : message);
+      restoreMonitorAfterUpload(result);
+      // Record what is now on the board
+      recordHistoryVersion('upload', `uploaded to ${result.port || port} at ${formatHistoryTime(new Date())}`,
+        [{ name: mainFileName, content: code }, ...files]);
+    } else if (result.cancelled) {
+      uploadBtn.textContent = 'Upload Code';
+      showUploadStatus('info', 'Upload cancelled');
+      reopenMonitorAfterFailedUpload(result);
+    } else {
+      uploadBtn.textContent = 'Upload Code';
+      showUploadStatus('error', summarizeCompilerErrors(result.diagnostics) || result.error || 'Upload failed');
+      reopenMonitorAfterFailedUpload(result, { quiet: true });
+    }
+  } catch (error) {
+    uploadBtn.textContent = 'Upload Code';
+    console.error('Upload error:', error);
+    showUploadStatus('error', error.message || 'Upload failed - check console for details');
+  } finally {
+    uploadBtn.disabled = false;
+  }
+}
+
+// After a successful upload the board resets - mark that in the monitor and, with "Auto-connect
+// after upload" on, reopen the port at the baud rate the monitor was using before the upload
+function restoreMonitorAfterUpload(result) {
+  if (!result.port) return;
+
+  addSerialDivider('--- board reset after upload ---');
+
+  if (localStorage.getItem('upload-auto-connect') === 'false') {
+    updateConnectionStatus(false, result.port);
+    return;
+  }
+
+  autoConnectToPort(result.port, {
+    baudRate: result.monitor && result.monitor.baudRate,
+    quiet: true
+  });
+}
+
+// A cancelled or failed upload may still have released the monitor connection (`result.monitor`
+// is set when it did) - reopen it so the port is usable again. `quiet` keeps the upload error visible.
+function reopenMonitorAfterFailedUpload(result, { quiet = false } = {}) {
+  if (result.monitor && result.port && result.port === selectedPort) {
+    autoConnectToPort(result.port, { baudRate: result.monitor.baudRate, quiet });
+  }
+}
+
+// Upload options from the Upload Settings page
+function getUploadOptions() {
+  return {
+    verify: localStorage.getItem('upload-verify') !== 'false',
+    verbose: localStorage.getItem('upload-verbose') === 'true',
+    programmer: localStorage.getItem('upload-programmer') || ''
+  };
+}
+
+// Status text for the read-back verify of an upload, or null when there is nothing to say
+function describeUploadVerify(verify) {
+  if (!verify || !verify.requested) return null;
+  if (verify.passed === true) return 'Verified OK';
+  if (verify.passed === false) return 'VERIFY FAILED - the board does not match the sketch, try a different USB cable or port';
+  return 'Verify result unknown';
+}
+
+// Upload a precompiled .hex/.bin picked in the main process - no compile step
+async function uploadFirmwareFile() {
+  const board = getSelectedFQBN();
+  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
+
+  if (!portSelect || !portSelect.value) {
+    flashPortWarning();
+    showUploadStatus('error', 'Please select a COM port first');
+    return;
+  }
+
+  if (currentBuildId) {
+    showUploadStatus('error', 'Wait for the current build to finish first');
+    return;
+  }
+
+  const port = portSelect.value;
+  const uploadFileBtn = document.getElementById('upload-file-btn');
+  uploadFileBtn.disabled = true;
+
+  try {
+    const result = await runBuildRequest('/api/upload/firmware', { board, port, ...getUploadOptions() }, ['core', 'upload'], (stage) => {
+      if (stage.state === 'running') {
+        showUploadStatus('info', `${stage.label}...`);
+      }
+    });
+
+    if (result.success) {
+      const verifyText = describeUploadVerify(result.verify);
+      showUploadStatus('success', verifyText ? `${result.message} - ${verifyText}` : result.message);
+      restoreMonitorAfterUpload(result);
+    } else if (result.cancelled) {
+      showUploadStatus('info', 'Upload cancelled');
+      reopenMonitorAfterFailedUpload(result);
+    } else {
+      showUploadStatus('error', result.error || 'Upload failed');
+      reopenMonitorAfterFailedUpload(result, { quiet: true });
+    }
+  } catch (error) {
+    console.error('Firmware upload error:', error);
+    showUploadStatus('error', error.message || 'Upload failed - check console for details');
+  } finally {
+    uploadFileBtn.disabled = false;
+  }
+}
+
+// Verify code (compile only, no board required)
+async function verifyCode() {
+  if (!monacoEditor) {
+    showUploadStatus('error', 'Editor not ready');
+    return;
+  }
+
+  const { code, files } = getProjectSources();
+  const board = getSelectedFQBN();
+
+  if (!code.trim()) {
+    showUploadStatus('error', 'Please enter some code to verify');
+    return;
+  }
+
+  const verifyBtn = document.getElementById('verify-btn');
+  verifyBtn.disabled = true;
+  verifyBtn.textContent = 'Verifying...';
+  showUploadStatus('info', 'Compiling code...');
+
+  try {
+    const result = await runBuildRequest('/api/compile', { code, files, board, project: currentProjectName, projectPath: currentProjectPath }, ['index', 'core', 'compile'], (stage) => {
+      if (stage.state === 'running') {
+        showUploadStatus('info', `${stage.label}...`);
+      }
+    });
+
+    showSketchUsage(result.usage, board, 'verify');
+
+    if (result.success) {
+      let message = 'Compiled successfully';
+      const usage = result.usage || {};
+      if (usage.flash) {
+        message += ` - Flash: ${usage.flash.used} / ${usage.flash.max} bytes`;
+      }
+      if (usage.ram) {
+        message += `, RAM: ${usage.ram.used} / ${usage.ram.max} bytes`;
+      }
+      const warning = getSketchUsageWarning(result.usage, board);
+      showUploadStatus(warning ? 'info' : 'success', warning ? `${message}. ${warning}` : message);
+    } else if (result.cancelled) {
+      showUploadStatus('info', 'Verify cancelled');
+    } else {
+      showUploadStatus('error', summarizeCompilerErrors(result.diagnostics) || result.error || 'Compile failed');
+    }
+  } catch (error) {
+    console.error('Verify error:', error);
+    showUploadStatus('error', error.message || 'Compile failed - check console for details');
+  } finally {
+    verifyBtn.textContent = 'Verify';
+    verifyBtn.disabled = false;
+  }
+}
+
+// Fraction of flash/RAM at which the usage bar turns amber. On the Mega the stack shares its 8 KB
+// of RAM with global variables, so it warns earlier (the Arduino IDE's "low memory" threshold).
+const SKETCH_USAGE_LIMITS = {
+  'arduino:avr': { flash: 0.9, ram: 0.75 },
+  'esp32:esp32': { flash: 0.9, ram: 0.9 }
+};
+const SKETCH_USAGE_HISTORY_SIZE = 20;
+
+function getSketchUsageLimits(board) {
+  const core = (board || '').split(':').slice(0, 2).join(':');
+  return SKETCH_USAGE_LIMITS[core] || { flash: 0.9, ram: 0.9 };
+}
+
+// Warning text when a build is close to the board's limits, or null
+function getSketchUsageWarning(usage, board) {
+  if (!usage) return null;
+
+  const limits = getSketchUsageLimits(board);
+  const warnings = [];
+  if (usage.flash && usage.flash.used / usage.flash.max >= limits.flash) {
+    warnings.push(`program storage is ${Math.round(usage.flash.used / usage.flash.max * 100)}% full`);
+  }
+  if (usage.ram && usage.ram.used / usage.ram.max >= limits.ram) {
+    warnings.push(`RAM is ${Math.round(usage.ram.used / usage.ram.max * 100)}% full - the sketch may crash or behave oddly`);
+  }
+  return warnings.length > 0 ? `Warning: ${warnings.join(', ')}` : null;
+}
+
+function loadSketchUsageHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(getProjectStorageKey('sketch-usage-history'))) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Show flash/RAM usage bars under the editor and record the build in this sketch's history
+function showSketchUsage(usage, board, action) {
+  if (!usage || (!usage.flash && !usage.ram)) return;
+
+  const panel = document.getElementById('sketch-usage');
+  const barsEl = document.getElementById('sketch-usage-bars');
+  if (!panel || !barsEl) return;
+
+  const limits = getSketchUsageLimits(board);
+  barsEl.innerHTML = '';
+  [['Flash', usage.flash, limits.flash], ['RAM', usage.ram, limits.ram]].forEach(([label, value, limit]) => {
+    if (!value) return;
+
+    const fraction = Math.min(value.used / value.max, 1);
+    const row = document.createElement('div');
+    row.className = 'sketch-usage-row';
+    if (fraction >= 1) {
+      row.classList.add('full');
+    } else if (fraction >= limit) {
+      row.classList.add('warning');
+    }
+
+    const name = document.createElement('span');
+    name.className = 'sketch-usage-label';
+    name.textContent = label;
+
+    const bar = document.createElement('div');
+    bar.className = 'sketch-usage-bar';
+    const fill = document.createElement('div');
+    fill.className = 'sketch-usage-fill';
+    fill.style.width = `${(fraction * 100).toFixed(1)}%`;
+    bar.appendChild(fill);
+
+    const amount = document.createElement('span');
+    amount.className = 'sketch-usage-amount';
+    amount.textContent = `${value.used.toLocaleString()} / ${value.max.toLocaleString()} bytes (${Math.round(fraction * 100)}%)`;
+
+    row.appendChild(name);
+    row.appendChild(bar);
+    row.appendChild(amount);
+    barsEl.appendChild(row);
+  });
+
+  const history = loadSketchUsageHistory();
+  history.unshift({
+    time: Date.now(),
+    board,
+    action,
+    flash: usage.flash ? usage.flash.used : null,
+    ram: usage.ram ? usage.ram.used : null
+  });
+  history.length = Math.min(history.length, SKETCH_USAGE_HISTORY_SIZE);
+  localStorage.setItem(getProjectStorageKey('sketch-usage-history'), JSON.stringify(history));
+
+  renderSketchUsageHistory(history);
+  panel.style.display = '';
+}
+
+// Fill the history table - each build with its change from the previous build for the same board
+function renderSketchUsageHistory(history) {
+  const table = document.getElementById('sketch-usage-history-table');
+  if (!table) return;
+
+  const formatChange = (value, previous) => {
+    if (value === null) return '-';
+    if (previous === null || previous === undefined) return value.toLocaleString();
+    const change = value - previous;
+    return `${value.toLocaleString()} (${change > 0 ? '+' : ''}${change.toLocaleString()})`;
+  };
+
+  table.innerHTML = '<tr><th>Time</th><th>Build</th><th>Board</th><th>Flash</th><th>RAM</th></tr>';
+  history.forEach((entry, index) => {
+    const previous = history.slice(index + 1).find(older => older.board === entry.board);
+    const row = document.createElement('tr');
+    [
+      new Date(entry.time).toLocaleString(),
+      { upload: 'Upload', export: 'Export' }[entry.action] || 'Verify',
+      entry.board,
+      formatChange(entry.flash, previous ? previous.flash : null),
+      formatChange(entry.ram, previous ? previous.ram : null)
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+}
+
+// Build output panel - stage labels shown before the server reports them
+const BUILD_STAGE_LABELS = {
+  index: 'Update core index',
+  core: 'Install core',
+  compile: 'Compile',
+  upload: 'Upload',
+  export: 'Save binaries',
+  erase: 'Erase flash',
+  bootloader: 'Burn bootloader'
+};
+
+// Reset the build output panel for a new build with the given stages
+function resetBuildOutput(stages) {
+  const panel = document.getElementById('build-output-panel');
+  const stagesEl = document.getElementById('build-stages');
+  const logEl = document.getElementById('build-output-log');
+  if (!panel || !stagesEl || !logEl) return;
+
+  stagesEl.innerHTML = '';
+  stages.forEach(stage => {
+    const chip = document.createElement('span');
+    chip.className = 'build-stage pending';
+    chip.dataset.stage = stage;
+    chip.textContent = BUILD_STAGE_LABELS[stage] || stage;
+    stagesEl.appendChild(chip);
+  });
+
+  logEl.innerHTML = '';
+  panel.style.display = 'block';
+}
+
+// Update the progress state of one build stage
+function updateBuildStage(stage) {
+  const chip = document.querySelector(`.build-stage[data-stage="${stage.stage}"]`);
+  if (!chip) return;
+
+  chip.className = `build-stage ${stage.state}`;
+  if (stage.label) {
+    chip.textContent = stage.label;
+  }
+}
+
+// Append compiler/uploader output to the build log
+function appendBuildOutput(text, stream = 'stdout') {
+  const logEl = document.getElementById('build-output-log');
+  if (!logEl || !text) return;
+
+  const span = document.createElement('span');
+  if (stream === 'stderr') {
+    span.className = 'stderr';
+  }
+  span.textContent = text;
+  logEl.appendChild(span);
+  logEl.scrollTop = logEl.scrollHeight;
+}
+
+// POST a build request (compile/upload) and follow its progress.
+// The server streams "stage", "log" and "result" Server-Sent Events; the final result is returned.
+async function runBuildRequest(url, body, stages, onStage) {
+  resetBuildOutput(stages);
+  showCompilerDiagnostics([]);
+
+  try {
+    return await readBuildResponse(url, body, onStage);
+  } finally {
+    currentBuildId = null;
+    // The build may have installed the board core - its options can be read now
+    const details = boardDetailsCache[document.getElementById('editor-board-select').value];
+    if (details && !details.coreInstalled) {
+      loadBoardOptions();
+    }
+    const cancelBtn = document.getElementById('cancel-build-btn');
+    if (cancelBtn) {
+      cancelBtn.style.display = 'none';
+      cancelBtn.disabled = false;
+      cancelBtn.textContent = 'Cancel';
+    }
+  }
+}
+
+// Read the SSE stream of a build request (see runBuildRequest)
+async function readBuildResponse(url, body, onStage) {
+  const response = await fetch(`${url}?stream=1`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  // Validation errors come back as plain JSON before the stream starts
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    const result = await response.json();
+    if (result.error) {
+      appendBuildOutput(result.error + '\n', 'stderr');
+    }
+    return result;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    frames.forEach(frame => {
+      let event = 'message';
+      let data = '';
+      frame.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) {
+          event = line.slice(7);
+        } else if (line.startsWith('data: ')) {
+          data += line.slice(6);
+        }
+      });
+      if (!data) return;
+
+      const payload = JSON.parse(data);
+      if (event === 'start') {
+        currentBuildId = payload.buildId;
+        const cancelBtn = document.getElementById('cancel-build-btn');
+        if (cancelBtn) {
+          cancelBtn.style.display = '';
+        }
+      } else if (event === 'stage') {
+        updateBuildStage(payload);
+        if (onStage) onStage(payload);
+      } else if (event === 'log') {
+        appendBuildOutput(payload.text, payload.stream);
+      } else if (event === 'result') {
+        result = payload;
+      }
+    });
+  }
+
+  if (!result) {
+    throw new Error('Build ended without a result - check the build output');
+  }
+
+  showCompilerDiagnostics(result.diagnostics);
+
+  // Expand the log so the student sees what went wrong
+  if (!result.success) {
+    document.getElementById('build-output-panel').open = true;
+  }
+  return result;
+}
+
+// Board maintenance panel - erase flash (ESP32) and burn bootloader (Mega)
+function openBoardMaintenance() {
+  const panel = document.getElementById('board-maintenance');
+  if (!panel) return;
+
+  const portSelect = document.getElementById('com-port-select');
+  document.getElementById('maintenance-port-name').textContent = (portSelect && portSelect.value) || 'none selected';
+
+  // esptool only talks to an ESP32 - erasing is offered for the ESP32 board only
+  const eraseBtn = document.getElementById('maintenance-erase-btn');
+  const isEsp32 = document.getElementById('editor-board-select').value.startsWith('esp32:');
+  eraseBtn.disabled = !isEsp32;
+  eraseBtn.title = isEsp32 ? '' : 'Select the ESP32 board to erase its flash';
+
+  panel.style.display = 'flex';
+  loadMaintenanceProgrammers();
+}
+
+function closeBoardMaintenance() {
+  const panel = document.getElementById('board-maintenance');
+  if (panel) {
+    panel.style.display = 'none';
+  }
+}
+
+// Fill the programmer selector from the Mega's board details
+async function loadMaintenanceProgrammers() {
+  const select = document.getElementById('maintenance-programmer-select');
+  if (!select) return;
+
+  try {
+    const response = await fetch(`/api/boards/details?fqbn=${encodeURIComponent('arduino:avr:mega')}`);
+    const result = await response.json();
+    const programmers = result.programmers || [];
+
+    select.innerHTML = '';
+    if (!result.success || !result.coreInstalled || programmers.length === 0) {
+      select.innerHTML = '<option value="">Install the Arduino AVR core first</option>';
+      return;
+    }
+
+    const saved = localStorage.getItem('maintenance-programmer') || 'arduinoasisp';
+    programmers.forEach(programmer => {
+      const option = document.createElement('option');
+      option.value = programmer.id;
+      option.textContent = programmer.name;
+      select.appendChild(option);
+    });
+    if (programmers.some(programmer => programmer.id === saved)) {
+      select.value = saved;
+    }
+  } catch (error) {
+    console.error('Error loading programmers:', error);
+    select.innerHTML = '<option value="">Could not load programmers</option>';
+  }
+}
+
+// Run a destructive maintenance step after the student confirms it
+async function runBoardMaintenance(action) {
+  const portSelect = document.getElementById('com-port-select');
+  const port = portSelect ? portSelect.value : '';
+  if (!port) {
+    closeBoardMaintenance();
+    flashPortWarning();
+    showUploadStatus('error', 'Please select the board\'s COM port first');
+    return;
+  }
+
+  if (currentBuildId) {
+    showUploadStatus('error', 'Wait for the current build to finish first');
+    return;
+  }
+
+  let url;
+  let body;
+  let stages;
+  if (action === 'erase') {
+    if (!confirm(`Erase the entire flash of the ESP32 on ${port}?\n\nThe sketch, partition table and all saved data will be deleted. This cannot be undone.`)) {
+      return;
+    }
+    url = '/api/maintenance/erase-flash';
+    body = { port, board: getSelectedFQBN() };
+    stages = ['core', 'erase'];
+  } else {
+    const programmer = document.getElementById('maintenance-programmer-select').value;
+    if (!programmer) {
+      alert('Select a programmer first');
+      return;
+    }
+    if (!confirm(`Burn the Arduino Mega bootloader using "${programmer}"?\n\nThe programmer must be wired to the ICSP header. The sketch on the board will be erased and the fuses rewritten. Do not unplug the board until it finishes.`)) {
+      return;
+    }
+    localStorage.setItem('maintenance-programmer', programmer);
+    url = '/api/maintenance/burn-bootloader';
+    body = { port, board: 'arduino:avr:mega', programmer };
+    stages = ['core', 'bootloader'];
+  }
+
+  closeBoardMaintenance();
+  showUploadStatus('info', action === 'erase' ? 'Erasing flash...' : 'Burning bootloader...');
+
+  try {
+    const result = await runBuildRequest(url, body, stages, (stage) => {
+      if (stage.state === 'running') {
+        showUploadStatus('info', `${stage.label}...`);
+      }
+    });
+
+    if (result.success) {
+      showUploadStatus('success', result.message);
+    } else if (result.cancelled) {
+      showUploadStatus('info', result.error);
+    } else {
+      showUploadStatus('error', result.error || 'Maintenance step failed');
+    }
+  } catch (error) {
+    console.error('Board maintenance error:', error);
+    showUploadStatus('error', error.message || 'Maintenance step failed - check the build output');
+  }
+}
+
+// Export compiled binaries (.hex / .bin / ELF / map) to a folder picked in the main process
+async function exportBuild() {
+  if (!monacoEditor) {
+    showUploadStatus('error', 'Editor not ready');
+    return;
+  }
+
+  if (currentBuildId) {
+    showUploadStatus('error', 'Wait for the current build to finish before exporting');
+    return;
+  }
+
+  const { code, files } = getProjectSources();
+  const board = getSelectedFQBN();
+
+  if (!code.trim()) {
+    showUploadStatus('error', 'Please enter some code to export');
+    return;
+  }
+
+  const exportBtn = document.getElementById('export-build-btn');
+  exportBtn.disabled = true;
+
+  try {
+    const result = await runBuildRequest('/api/build/export', { code, files, board, project: currentProjectName, projectPath: currentProjectPath }, ['index', 'core', 'compile', 'export'], (stage) => {
+      if (stage.state === 'running') {
+        showUploadStatus('info', `${stage.label}...`);
+      }
+    });
+
+    if (result.success) {
+      showSketchUsage(result.usage, board, 'export');
+      showUploadStatus('success', result.message);
+    } else if (result.cancelled) {
+      document.getElementById('build-output-panel').style.display = 'none';
+      showUploadStatus('info', 'Export cancelled');
+    } else {
+      showUploadStatus('error', summarizeCompilerErrors(result.diagnostics) || result.error || 'Export failed');
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    showUploadStatus('error', error.message || 'Export failed - check console for details');
+  } finally {
+    exportBtn.disabled = false;
+  }
+}
+
+// Clean build - wipe cached build output so the next compile starts from scratch
+async function cleanBuild() {
+  if (currentBuildId) {
+    showUploadStatus('error', 'Wait for the current build to finish before cleaning');
+    return;
+  }
+
+  if (!confirm('Delete cached build files? The next compile will rebuild everything and take longer.')) {
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/build/clean', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ project: currentProjectName, projectPath: currentProjectPath, includeCoreCache: true }),
+    });
+    const result = await response.json();
+    if (result.success) {
+      showUploadStatus('success', result.message || 'Build cache cleared');
+    } else {
+      showUploadStatus('error', result.error || 'Failed to clean build cache');
+    }
+  } catch (error) {
+    console.error('Clean build error:', error);
+    showUploadStatus('error', error.message || 'Failed to clean build cache');
+  }
+}
+
+// Cancel the in-flight compile/upload - the server kills arduino-cli and removes the temp sketch
+async function cancelBuild() {
+  if (!currentBuildId) return;
+
+  const cancelBtn = document.getElementById('cancel-build-btn');
+  if (cancelBtn) {
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = 'Cancelling...';
+  }
+
+  try {
+    const response = await fetch('/api/build/cancel', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ buildId: currentBuildId }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      console.error('Failed to cancel build:', result.error);
+    }
+  } catch (error) {
+    console.error('Error cancelling build:', error);
+  }
+}
+
+// Show compiler diagnostics as Monaco markers and as a clickable problems list
+function showCompilerDiagnostics(diagnostics) {
+  const problemsEl = document.getElementById('build-problems');
+  if (problemsEl) {
+    problemsEl.innerHTML = '';
+  }
+
+  if (!monacoEditor || typeof monaco === 'undefined') return;
+
+  const severities = {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+    note: monaco.MarkerSeverity.Info
+  };
+
+  // Only diagnostics in the sketch's own files can be mapped back to an editor tab
+  const sketchDiagnostics = (diagnostics || [])
+    .map(d => ({ ...d, tab: d.main ? getMainFile() : projectFiles.find(f => d.inSketch && f.name === d.file) }))
+    .filter(d => d.tab);
+
+  projectFiles.forEach(file => {
+    const model = file.model;
+    const markers = sketchDiagnostics.filter(d => d.tab === file).map(d => {
+      const line = Math.min(Math.max(d.line, 1), model.getLineCount());
+      return {
+        severity: severities[d.severity] || monaco.MarkerSeverity.Error,
+        message: d.message,
+        startLineNumber: line,
+        startColumn: d.column,
+        endLineNumber: line,
+        endColumn: Math.max(model.getLineMaxColumn(line), d.column + 1),
+        source: 'arduino-cli'
+      };
+    });
+    monaco.editor.setModelMarkers(model, 'arduino-cli', markers);
+  });
+  renderFileTabs();
+
+  if (!problemsEl) return;
+
+  sketchDiagnostics
+    .filter(d => d.severity !== 'note')
+    .forEach(d => {
+      const item = document.createElement('li');
+      item.className = `build-problem ${d.severity}`;
+
+      const location = document.createElement('span');
+      location.className = 'build-problem-location';
+      location.textContent = projectFiles.length > 1 ? `${d.tab.name}:${d.line}:${d.column}` : `Line ${d.line}:${d.column}`;
+
+      const message = document.createElement('span');
+      message.textContent = d.message;
+
+      item.appendChild(location);
+      item.appendChild(message);
+      item.addEventListener('click', () => jumpToEditorLine(d.line, d.column, d.tab.name));
+      problemsEl.appendChild(item);
+    });
+}
+
+// Move the editor cursor to a line/column (in another tab when fileName is given) and bring it into view
+function jumpToEditorLine(line, column = 1, fileName = null) {
+  if (!monacoEditor) return;
+
+  if (fileName && fileName !== activeFileName) {
+    switchToFile(fileName);
+  }
+  monacoEditor.revealLineInCenter(line);
+  monacoEditor.setPosition({ lineNumber: line, column });
+  monacoEditor.focus();
+}
+
+// Arduino API help for the editor - completion, signature help and hover docs for the core
+// functions beginners use, the Serial ports and the E-Blocks ports. `worksheet` links the
+// curriculum worksheet that introduces the function.
+const ARDUINO_FUNCTIONS = {
+  pinMode: {
+    signatures: ['void pinMode(pin, mode)'],
+    params: { pin: 'Arduino pin number', mode: '`INPUT`, `OUTPUT` or `INPUT_PULLUP`' },
+    doc: 'Configures a pin as an input or an output. Call it in `setup()` for every pin you use.',
+    worksheet: 'CP4807-1'
+  },
+  digitalWrite: {
+    signatures: ['void digitalWrite(pin, value)'],
+    params: { pin: 'Arduino pin number', value: '`HIGH` (on, 5V) or `LOW` (off, 0V)' },
+    doc: 'Sets an output pin `HIGH` or `LOW` - turns an LED on an E-Blocks port on or off.',
+    worksheet: 'CP4807-1'
+  },
+  digitalRead: {
+    signatures: ['int digitalRead(pin)'],
+    params: { pin: 'Arduino pin number' },
+    doc: 'Reads an input pin. Returns `HIGH` when a switch on the pin is pressed (active high) and `LOW` when released.',
+    returns: '`HIGH` or `LOW`',
+    worksheet: 'CP4807-4'
+  },
+  analogRead: {
+    signatures: ['int analogRead(pin)'],
+    params: { pin: 'Analogue pin, `A0` to `A15` on the Mega' },
+    doc: 'Reads the voltage on an analogue pin.',
+    returns: '0 (0V) to 1023 (5V) on the Mega, 0 to 4095 on the ESP32',
+    worksheet: 'CP1972-1'
+  },
+  analogWrite: {
+    signatures: ['void analogWrite(pin, value)'],
+    params: { pin: 'PWM pin (2-13 and 44-46 on the Mega)', value: 'Duty cycle, 0 (always off) to 255 (always on)' },
+    doc: 'Outputs a PWM signal - sets the brightness of an LED or the speed of a motor.',
+    worksheet: 'CP0507-1'
+  },
+  delay: {
+    signatures: ['void delay(ms)'],
+    params: { ms: 'Time to wait in milliseconds (1000 = 1 second)' },
+    doc: 'Pauses the program. Nothing else runs while it waits - use `millis()` to do other things at the same time.',
+    worksheet: 'CP4807-1'
+  },
+  delayMicroseconds: {
+    signatures: ['void delayMicroseconds(us)'],
+    params: { us: 'Time to wait in microseconds' },
+    doc: 'Pauses the program for a very short time.'
+  },
+  millis: {
+    signatures: ['unsigned long millis()'],
+    doc: 'Time since the board started running the sketch. Compare two readings to time events without `delay()`.',
+    returns: 'Milliseconds, as an `unsigned long`',
+    worksheet: 'CP4807-10'
+  },
+  micros: {
+    signatures: ['unsigned long micros()'],
+    doc: 'Time since the board started running the sketch, in microseconds.',
+    returns: 'Microseconds, as an `unsigned long`'
+  },
+  map: {
+    signatures: ['long map(value, fromLow, fromHigh, toLow, toHigh)'],
+    params: {
+      value: 'The number to convert',
+      fromLow: 'Lowest value of the input range',
+      fromHigh: 'Highest value of the input range',
+      toLow: 'Lowest value of the output range',
+      toHigh: 'Highest value of the output range'
+    },
+    doc: 'Converts a number from one range to another, e.g. `map(analogRead(A0), 0, 1023, 0, 255)` turns a potentiometer reading into a PWM value.',
+    returns: 'The converted value (whole numbers only)',
+    worksheet: 'CP1972-1'
+  },
+  constrain: {
+    signatures: ['constrain(x, low, high)'],
+    params: { x: 'The value to limit', low: 'Lowest allowed value', high: 'Highest allowed value' },
+    doc: 'Keeps a value inside a range.',
+    returns: '`low` if `x` is below it, `high` if `x` is above it, otherwise `x`',
+    worksheet: 'CP1972-7'
+  },
+  min: {
+    signatures: ['min(a, b)'],
+    params: { a: 'First value', b: 'Second value' },
+    doc: 'The smaller of two numbers.'
+  },
+  max: {
+    signatures: ['max(a, b)'],
+    params: { a: 'First value', b: 'Second value' },
+    doc: 'The larger of two numbers.'
+  },
+  abs: {
+    signatures: ['abs(x)'],
+    params: { x: 'A number' },
+    doc: 'The absolute value of a number (the number without its sign).'
+  },
+  random: {
+    signatures: ['long random(max)', 'long random(min, max)'],
+    params: { min: 'Lowest value (included)', max: 'Upper limit (not included)' },
+    doc: 'A pseudo-random number. Call `randomSeed(analogRead(A0))` in `setup()` to get a different sequence each time.'
+  },
+  randomSeed: {
+    signatures: ['void randomSeed(seed)'],
+    params: { seed: 'Starting point for the random sequence' },
+    doc: 'Starts the random number generator at a different point.'
+  },
+  tone: {
+    signatures: ['void tone(pin, frequency)', 'void tone(pin, frequency, duration)'],
+    params: { pin: 'Pin the buzzer is connected to', frequency: 'Frequency in hertz', duration: 'Length of the tone in milliseconds' },
+    doc: 'Plays a square wave on a pin - sounds a buzzer.',
+    worksheet: 'CP4807-7'
+  },
+  noTone: {
+    signatures: ['void noTone(pin)'],
+    params: { pin: 'Pin playing the tone' },
+    doc: 'Stops a tone started with `tone()`.',
+    worksheet: 'CP4807-7'
+  },
+  pulseIn: {
+    signatures: ['unsigned long pulseIn(pin, value)', 'unsigned long pulseIn(pin, value, timeout)'],
+    params: { pin: 'Pin to measure', value: '`HIGH` or `LOW` - the type of pulse to time', timeout: 'Microseconds to wait for the pulse (default one second)' },
+    doc: 'Measures the length of a pulse on a pin.',
+    returns: 'Pulse length in microseconds, or 0 if no pulse arrived before the timeout'
+  },
+  attachInterrupt: {
+    signatures: ['void attachInterrupt(interrupt, function, mode)'],
+    params: {
+      interrupt: 'Interrupt number - use `digitalPinToInterrupt(pin)` (pins 2, 3, 18, 19, 20 and 21 on the Mega)',
+      function: 'Function to call - takes no parameters and returns nothing',
+      mode: '`RISING`, `FALLING`, `CHANGE` or `LOW`'
+    },
+    doc: 'Calls a function as soon as a pin changes, whatever the program is doing. Keep the function short and make shared variables `volatile`.',
+    worksheet: 'CP4807-9'
+  },
+  detachInterrupt: {
+    signatures: ['void detachInterrupt(interrupt)'],
+    params: { interrupt: 'Interrupt number - use `digitalPinToInterrupt(pin)`' },
+    doc: 'Turns off an interrupt set up with `attachInterrupt()`.',
+    worksheet: 'CP4807-9'
+  },
+  digitalPinToInterrupt: {
+    signatures: ['int digitalPinToInterrupt(pin)'],
+    params: { pin: 'Arduino pin number' },
+    doc: 'Converts a pin number into the interrupt number `attachInterrupt()` expects.',
+    returns: 'The interrupt number, or -1 if the pin has no external interrupt',
+    worksheet: 'CP4807-9'
+  },
+  interrupts: {
+    signatures: ['void interrupts()'],
+    doc: 'Turns interrupts back on after `noInterrupts()`.'
+  },
+  noInterrupts: {
+    signatures: ['void noInterrupts()'],
+    doc: 'Turns interrupts off, e.g. while reading a variable an interrupt changes.'
+  },
+  bitRead: {
+    signatures: ['bitRead(value, bit)'],
+    params: { value: 'The number to read from', bit: 'Bit to read, 0 is the rightmost (least significant) bit' },
+    doc: 'Reads one bit of a number - e.g. one pin of an E-Blocks port read through `PINA`.',
+    returns: '0 or 1',
+    worksheet: 'CP4807-2'
+  },
+  bitWrite: {
+    signatures: ['bitWrite(value, bit, bitValue)'],
+    params: { value: 'Variable to change', bit: 'Bit to write, 0 is the rightmost bit', bitValue: '0 or 1' },
+    doc: 'Sets one bit of a variable.',
+    worksheet: 'CP4807-2'
+  }
+};
+
+// Methods of Serial, Serial1, Serial2 and Serial3
+const SERIAL_METHODS = {
+  begin: {
+    signatures: ['void begin(baud)'],
+    params: { baud: 'Speed in bits per second - set the serial monitor to the same value (e.g. 115200)' },
+    doc: 'Opens the serial port. Call it once in `setup()`.',
+    worksheet: 'CP4436-1'
+  },
+  end: {
+    signatures: ['void end()'],
+    doc: 'Closes the serial port so its pins can be used for something else.'
+  },
+  print: {
+    signatures: ['size_t print(value)', 'size_t print(value, format)'],
+    params: { value: 'Text or number to send', format: '`DEC`, `HEX`, `BIN`, or the number of decimal places for a float' },
+    doc: 'Sends text or a number to the serial monitor without starting a new line.',
+    worksheet: 'CP4436-1'
+  },
+  println: {
+    signatures: ['size_t println()', 'size_t println(value)', 'size_t println(value, format)'],
+    params: { value: 'Text or number to send', format: '`DEC`, `HEX`, `BIN`, or the number of decimal places for a float' },
+    doc: 'Sends text or a number to the serial monitor followed by a new line.',
+    worksheet: 'CP4436-1'
+  },
+  write: {
+    signatures: ['size_t write(byte)', 'size_t write(buffer, length)'],
+    params: { byte: 'A single byte to send', buffer: 'Array of bytes', length: 'Number of bytes to send' },
+    doc: 'Sends raw bytes rather than text.'
+  },
+  available: {
+    signatures: ['int available()'],
+    doc: 'Number of bytes received and waiting to be read.',
+    returns: 'Bytes waiting - 0 when nothing has arrived',
+    worksheet: 'CP4436-2'
+  },
+  read: {
+    signatures: ['int read()'],
+    doc: 'Reads the next received byte.',
+    returns: 'The byte, or -1 if nothing has arrived',
+    worksheet: 'CP4436-2'
+  },
+  peek: {
+    signatures: ['int peek()'],
+    doc: 'Looks at the next received byte without removing it.',
+    returns: 'The byte, or -1 if nothing has arrived'
+  },
+  readString: {
+    signatures: ['String readString()'],
+    doc: 'Reads everything received until the timeout (one second by default).',
+    worksheet: 'CP4436-2'
+  },
+  readStringUntil: {
+    signatures: ['String readStringUntil(terminator)'],
+    params: { terminator: "Character to stop at, e.g. `'\\n'` for a whole line" },
+    doc: 'Reads received text up to a character. The character itself is removed.',
+    worksheet: 'CP4436-2'
+  },
+  parseInt: {
+    signatures: ['long parseInt()'],
+    doc: 'Reads the next whole number from the received text.',
+    returns: 'The number, or 0 if none arrived before the timeout'
+  },
+  parseFloat: {
+    signatures: ['float parseFloat()'],
+    doc: 'Reads the next decimal number from the received text.',
+    returns: 'The number, or 0 if none arrived before the timeout'
+  },
+  setTimeout: {
+    signatures: ['void setTimeout(ms)'],
+    params: { ms: 'Milliseconds to wait for data (default 1000)' },
+    doc: 'How long `readString()`, `parseInt()` and friends wait for data.'
+  },
+  flush: {
+    signatures: ['void flush()'],
+    doc: 'Waits until everything printed has been sent.'
+  }
+};
+
+const SERIAL_PORTS = {
+  Serial: 'Hardware serial port 0 (pins 0 and 1). **On the E-Blocks 3 Mega the USB connection is on `Serial2`** - output sent to `Serial` does not reach the serial monitor. On ESP32 boards `Serial` is the USB connection.',
+  Serial1: 'Hardware serial port 1 (pins 18 TX and 19 RX on the Mega).',
+  Serial2: 'Hardware serial port 2. **The E-Blocks 3 Mega routes its USB connection to `Serial2`** - use it for the serial monitor.',
+  Serial3: 'Hardware serial port 3 (pins 14 TX and 15 RX on the Mega).'
+};
+
+const ARDUINO_CONSTANTS = {
+  HIGH: { doc: 'Logic level on, 5V on the Mega (3.3V on the ESP32).', worksheet: 'CP4807-1' },
+  LOW: { doc: 'Logic level off, 0V.', worksheet: 'CP4807-1' },
+  INPUT: { doc: 'Pin mode for reading switches and sensors.', worksheet: 'CP4807-4' },
+  OUTPUT: { doc: 'Pin mode for driving LEDs, buzzers and motors.', worksheet: 'CP4807-1' },
+  INPUT_PULLUP: { doc: 'Input with the internal pull-up resistor on - reads `HIGH` until a switch connects the pin to 0V (active low).', worksheet: 'CP4807-4' },
+  LED_BUILTIN: { doc: 'The pin of the LED on the board itself (13 on the Mega).' },
+  RISING: { doc: '`attachInterrupt()` mode - trigger when the pin goes from `LOW` to `HIGH`.', worksheet: 'CP4807-9' },
+  FALLING: { doc: '`attachInterrupt()` mode - trigger when the pin goes from `HIGH` to `LOW`.', worksheet: 'CP4807-9' },
+  CHANGE: { doc: '`attachInterrupt()` mode - trigger whenever the pin changes.', worksheet: 'CP4807-9' },
+  // E-Blocks ports A and B are the ATmega2560's PORTA and PORTB, so the registers drive a whole port at once
+  PORTA: { doc: 'Output register for **E-Blocks Port A** (pins 22-29, bit 0 = pin 22). `PORTA = 0xFF;` turns all 8 outputs on.', worksheet: 'CP4807-2' },
+  PORTB: { doc: 'Output register for **E-Blocks Port B** (pins 53, 52, 51, 50, 10, 11, 12, 13 for bits 0-7). `PORTB = count;` shows a number in binary on the LEDs.', worksheet: 'CP4807-2' },
+  DDRA: { doc: 'Direction register for **E-Blocks Port A** - a 1 bit makes the pin an output. `DDRA = 0xFF;` sets the whole port as outputs.', worksheet: 'CP4807-2' },
+  DDRB: { doc: 'Direction register for **E-Blocks Port B** - a 1 bit makes the pin an output. `DDRB = 0xFF;` sets the whole port as outputs.', worksheet: 'CP4807-2' },
+  PINA: { doc: 'Input register for **E-Blocks Port A** - reads all 8 pins at once.', worksheet: 'CP4807-4' },
+  PINB: { doc: 'Input register for **E-Blocks Port B** - reads all 8 pins at once.', worksheet: 'CP4807-4' }
+};
+
+// E-Blocks 3 Mega port headers - the Arduino pin for each bit of the AVR port register
+const EBLOCKS_PORT_PINS = {
+  A: [22, 23, 24, 25, 26, 27, 28, 29],
+  B: [53, 52, 51, 50, 10, 11, 12, 13]
+};
+
+const EBLOCKS_SNIPPETS = [
+  {
+    label: 'portA',
+    detail: 'E-Blocks Port A pin array',
+    insertText: 'int portA[] = {29, 28, 27, 26, 25, 24, 23, 22};',
+    doc: 'The Arduino pins of **E-Blocks Port A**, leftmost Combo Board switch first (as in the default example).'
+  },
+  {
+    label: 'portB',
+    detail: 'E-Blocks Port B pin array',
+    insertText: 'int portB[] = {13, 12, 11, 10, 50, 51, 52, 53};',
+    doc: 'The Arduino pins of **E-Blocks Port B**, leftmost Combo Board switch first (as in the default example).'
+  },
+  {
+    label: 'eblocks-serial',
+    detail: 'Start the serial monitor on the E-Blocks 3 Mega',
+    insertText: 'Serial2.begin(${1:115200});\ndelay(2000); // Allow time for the serial monitor to open',
+    doc: 'The E-Blocks 3 Mega routes USB to `Serial2`.',
+    worksheet: 'CP4436-1'
+  }
+];
+
+// Where a pin number sits on the E-Blocks ports, e.g. "E-Blocks Port A (PA0)"
+function describeEBlocksPin(pin) {
+  for (const [port, pins] of Object.entries(EBLOCKS_PORT_PINS)) {
+    const bit = pins.indexOf(pin);
+    if (bit !== -1) {
+      return `E-Blocks Port ${port} (P${port}${bit})`;
+    }
+  }
+  return null;
+}
+
+function getWorksheetTitle(worksheetCode) {
+  const [curriculumCode, number] = worksheetCode.split('-');
+  const levels = curriculumData[curriculumCode] || {};
+  const worksheet = Object.values(levels).flat().find(w => w.code === worksheetCode);
+  return worksheet ? `Worksheet ${number}: ${worksheet.title}` : worksheetCode;
+}
+
+// Show a worksheet in the curriculum sidebar - used by the worksheet links in the editor docs
+function openWorksheetByCode(worksheetCode) {
+  const [curriculumCode, number] = worksheetCode.split('-');
+  const sidebar = document.getElementById('rightSidebar');
+  if (sidebar && sidebar.classList.contains('collapsed')) {
+    document.getElementById('rightSidebarToggle').click();
+  }
+
+  selectCurriculum(curriculumCode);
+  const curriculumListEl = document.getElementById('curriculum-list');
+  if (curriculumListEl) curriculumListEl.style.display = 'none';
+  displayWorksheet(parseInt(number));
+}
+
+// Markdown docs for an API entry, with a link to its worksheet
+function formatApiDoc(name, entry) {
+  let value = '';
+  if (entry.signatures) {
+    value += '```cpp\n' + entry.signatures.join('\n') + '\n```\n\n';
+  }
+  value += entry.doc;
+  if (entry.params) {
+    value += '\n\n' + Object.entries(entry.params).map(([param, text]) => `- \`${param}\` - ${text}`).join('\n');
+  }
+  if (entry.returns) {
+    value += `\n\n**Returns:** ${entry.returns}`;
+  }
+  if (entry.worksheet) {
+    const args = encodeURIComponent(JSON.stringify([entry.worksheet]));
+    value += `\n\n📘 [${getWorksheetTitle(entry.worksheet)}](command:eblocks.openWorksheet?${args})`;
+  }
+  return { value, isTrusted: true };
+}
+
+// Parameter names of a signature such as "void pinMode(pin, mode)"
+function getSignatureParams(signature) {
+  const inside = signature.slice(signature.indexOf('(') + 1, signature.lastIndexOf(')')).trim();
+  return inside ? inside.split(',').map(param => param.trim()) : [];
+}
+
+// The API entry for a name, looking at what is before it on the line for Serial methods
+function findApiEntry(name, textBefore) {
+  const serialMatch = textBefore.match(/\b(Serial[1-3]?)\s*\.\s*$/);
+  if (serialMatch) {
+    const entry = SERIAL_METHODS[name];
+    return entry ? { label: `${serialMatch[1]}.${name}`, entry } : null;
+  }
+  if (ARDUINO_FUNCTIONS[name]) {
+    return { label: name, entry: ARDUINO_FUNCTIONS[name] };
+  }
+  if (ARDUINO_CONSTANTS[name]) {
+    return { label: name, entry: ARDUINO_CONSTANTS[name] };
+  }
+  if (SERIAL_PORTS[name]) {
+    return { label: name, entry: { doc: SERIAL_PORTS[name], worksheet: 'CP4436-1' } };
+  }
+  return null;
+}
+
+function registerArduinoLanguageFeatures() {
+  monaco.editor.registerCommand('eblocks.openWorksheet', (accessor, worksheetCode) => openWorksheetByCode(worksheetCode));
+
+  monaco.languages.registerCompletionItemProvider('cpp', {
+    triggerCharacters: ['.'],
+    provideCompletionItems(model, position) {
+      const word = model.getWordUntilPosition(position);
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      const textBefore = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+      const snippetRule = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+
+      // Call snippet with a placeholder per parameter of the first signature
+      const callSnippet = (name, entry) => {
+        const params = getSignatureParams(entry.signatures[0]);
+        return `${name}(${params.map((param, i) => `\${${i + 1}:${param}}`).join(', ')})`;
+      };
+
+      const serialMatch = textBefore.match(/\b(Serial[1-3]?)\s*\.\s*$/);
+      if (serialMatch) {
+        return {
+          suggestions: Object.entries(SERIAL_METHODS).map(([name, entry]) => ({
+            label: name,
+            kind: monaco.languages.CompletionItemKind.Method,
+            detail: entry.signatures[0],
+            documentation: formatApiDoc(`${serialMatch[1]}.${name}`, entry),
+            insertText: callSnippet(name, entry),
+            insertTextRules: snippetRule,
+            range
+          }))
+        };
+      }
+      if (/\.\s*$/.test(textBefore)) {
+        return { suggestions: [] };
+      }
+
+      const suggestions = [
+        ...Object.entries(ARDUINO_FUNCTIONS).map(([name, entry]) => ({
+          label: name,
+          kind: monaco.languages.CompletionItemKind.Function,
+          detail: entry.signatures[0],
+          documentation: formatApiDoc(name, entry),
+          insertText: callSnippet(name, entry),
+          insertTextRules: snippetRule,
+          range
+        })),
+        ...Object.entries(ARDUINO_CONSTANTS).map(([name, entry]) => ({
+          label: name,
+          kind: monaco.languages.CompletionItemKind.Constant,
+          documentation: formatApiDoc(name, entry),
+          insertText: name,
+          range
+        })),
+        ...Object.entries(SERIAL_PORTS).map(([name, doc]) => ({
+          label: name,
+          kind: monaco.languages.CompletionItemKind.Module,
+          detail: name === 'Serial2' ? 'USB serial on the E-Blocks 3 Mega' : 'Hardware serial port',
+          documentation: formatApiDoc(name, { doc, worksheet: 'CP4436-1' }),
+          insertText: name,
+          // Offer Serial2 first - it is the one that reaches the serial monitor on the Mega
+          sortText: name === 'Serial2' ? '0' : name,
+          range
+        })),
+        ...EBLOCKS_SNIPPETS.map(snippet => ({
+          label: snippet.label,
+          kind: monaco.languages.CompletionItemKind.Snippet,
+          detail: snippet.detail,
+          documentation: formatApiDoc(snippet.label, snippet),
+          insertText: snippet.insertText,
+          insertTextRules: snippetRule,
+          range
+        }))
+      ];
+      return { suggestions };
+    }
+  });
+
+  monaco.languages.registerSignatureHelpProvider('cpp', {
+    signatureHelpTriggerCharacters: ['(', ','],
+    signatureHelpRetriggerCharacters: [','],
+    provideSignatureHelp(model, position) {
+      // Walk back to the innermost unclosed "(" and count the commas at that depth
+      const text = model.getValueInRange(new monaco.Range(Math.max(1, position.lineNumber - 5), 1, position.lineNumber, position.column));
+      let depth = 0;
+      let activeParameter = 0;
+      let openIndex = -1;
+      for (let i = text.length - 1; i >= 0; i--) {
+        const ch = text[i];
+        if (ch === ')') {
+          depth++;
+        } else if (ch === '(') {
+          if (depth === 0) {
+            openIndex = i;
+            break;
+          }
+          depth--;
+        } else if (ch === ',' && depth === 0) {
+          activeParameter++;
+        } else if (ch === ';' || ch === '{' || ch === '}') {
+          break;
+        }
+      }
+      if (openIndex === -1) return null;
+
+      const nameMatch = text.slice(0, openIndex).match(/(\w+)\s*$/);
+      if (!nameMatch) return null;
+      const found = findApiEntry(nameMatch[1], text.slice(0, openIndex - nameMatch[0].length));
+      if (!found || !found.entry.signatures) return null;
+
+      const signatures = found.entry.signatures.map(signature => ({
+        label: signature,
+        documentation: formatApiDoc(found.label, { ...found.entry, signatures: null, params: null }),
+        parameters: getSignatureParams(signature).map(param => ({
+          label: param,
+          documentation: found.entry.params && found.entry.params[param] ? { value: found.entry.params[param] } : undefined
+        }))
+      }));
+
+      // Pick the first overload with enough parameters for the commas typed so far
+      const activeSignature = Math.max(0, signatures.findIndex(signature => signature.parameters.length > activeParameter));
+      return {
+        value: { signatures, activeSignature, activeParameter },
+        dispose() {}
+      };
+    }
+  });
+
+  monaco.languages.registerHoverProvider('cpp', {
+    provideHover(model, position) {
+      const word = model.getWordAtPosition(position);
+      if (!word) return null;
+
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      const textBefore = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+
+      // Pin numbers - say which E-Blocks port they are on
+      if (/^\d+$/.test(word.word) && /(\b(pinMode|digitalWrite|digitalRead|analogWrite)\s*\(\s*|\w*PIN\w*\s*=\s*)$/i.test(textBefore)) {
+        const port = describeEBlocksPin(parseInt(word.word));
+        return {
+          range,
+          contents: [{ value: port ? `Pin ${word.word} - **${port}**` : `Pin ${word.word} - not on E-Blocks Port A or B` }]
+        };
+      }
+
+      const found = findApiEntry(word.word, textBefore);
+      if (!found) return null;
+      return {
+        range,
+        contents: [{ value: `**${found.label}**` }, formatApiDoc(found.label, found.entry)]
+      };
+    }
+  });
+}
+
+// clangd language client - live diagnostics, completion, hover and go-to-definition from the
+// clangd process the main process runs over arduino-cli's compile database. The editor tabs are
+// mirrored into the preprocessed copy of the sketch; the main .ino is sent as C++ with Arduino.h
+// and prototypes of its functions in front, like the Arduino build does.
+const LANGUAGE_SERVER_CHANGE_DELAY = 400;
+const LANGUAGE_SERVER_RESTART_DELAY = 1000;
+const LSP_COMPLETION_KINDS = [null, 'Text', 'Method', 'Function', 'Constructor', 'Field', 'Variable', 'Class', 'Interface',
+  'Module', 'Property', 'Unit', 'Value', 'Enum', 'Keyword', 'Snippet', 'Color', 'File', 'Reference', 'Folder',
+  'EnumMember', 'Constant', 'Struct', 'Event', 'Operator', 'TypeParameter'];
+
+let languageServer = null; // { sketchDir, mainFile, nextId, pending, documents: Map(fileName -> { uri, version, lineOffset, timer }) }
+let languageServerStartId = 0;
+let languageServerRestartTimer = null;
+
+function isLanguageServerEnabled() {
+  return localStorage.getItem('editor-clangd') !== 'false';
+}
+
+function setLanguageServerStatus(state, text) {
+  const statusEl = document.getElementById('language-server-status');
+  if (!statusEl) return;
+  statusEl.className = `language-server-status ${state}`;
+  statusEl.textContent = { ready: 'clangd', starting: 'clangd...', off: 'clangd off' }[state] || '';
+  statusEl.title = text;
+  statusEl.style.display = state === 'disabled' ? 'none' : '';
+}
+
+function pathToFileUri(path) {
+  const normalized = path.replace(/\\/g, '/');
+  return 'file://' + (normalized.startsWith('/') ? '' : '/') + encodeURI(normalized);
+}
+
+// Compare file URIs however they were encoded (clangd escapes the Windows drive colon)
+function normalizeFileUri(uri) {
+  const path = decodeURIComponent(uri.replace(/^file:\/\//, ''));
+  return /^\/[A-Za-z]:/.test(path) ? path.toLowerCase() : path;
+}
+
+// Prototypes for the functions defined at the top level of the sketch, so loop() can call
+// functions written below it
+function getSketchPrototypes(code) {
+  const stripped = code
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+    .replace(/\/\/.*$/gm, '')
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""');
+
+  const prototypes = [];
+  let depth = 0;
+  stripped.split('\n').forEach(line => {
+    if (depth === 0) {
+      const match = line.match(/^\s*((?:[A-Za-z_][\w:<>]*[\s*&]+)+)([A-Za-z_]\w*)\s*\(([^()]*)\)\s*\{?\s*$/);
+      if (match && !/^(if|else|for|while|switch|return|do)\b/.test(match[1].trim())) {
+        prototypes.push(`${match[1].trim()} ${match[2]}(${match[3].trim()});`);
+      }
+    }
+    for (const ch of line) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth = Math.max(0, depth - 1);
+    }
+  });
+  return prototypes;
+}
+
+// What clangd sees for a tab: { uri, text, lineOffset }, or null for files it does not analyse
+// (arduino-cli merges extra .ino tabs into the main file)
+function getLanguageServerDocument(file) {
+  const content = file.model.getValue();
+  if (file === getMainFile()) {
+    const header = ['#include <Arduino.h>', ...getSketchPrototypes(content)];
+    return {
+      uri: pathToFileUri(`${languageServer.sketchDir}/${languageServer.mainFile}`),
+      text: `${header.join('\n')}\n${content}`,
+      lineOffset: header.length
+    };
+  }
+  if (/\.ino$/.test(file.name)) return null;
+  return { uri: pathToFileUri(`${languageServer.sketchDir}/${file.name}`), text: content, lineOffset: 0 };
+}
+
+function sendToLanguageServer(message) {
+  window.electronAPI.sendToClangd({ jsonrpc: '2.0', ...message });
+}
+
+function languageServerRequest(method, params) {
+  if (!languageServer) return Promise.resolve(null);
+
+  const id = languageServer.nextId++;
+  return new Promise((resolve, reject) => {
+    languageServer.pending.set(id, { resolve, reject });
+    sendToLanguageServer({ id, method, params });
+  });
+}
+
+function languageServerNotify(method, params) {
+  if (!languageServer) return;
+  sendToLanguageServer({ method, params });
+}
+
+function handleLanguageServerMessage(message) {
+  if (!languageServer) return;
+
+  // Response to one of our requests
+  if (message.id !== undefined && !message.method) {
+    const pending = languageServer.pending.get(message.id);
+    if (!pending) return;
+    languageServer.pending.delete(message.id);
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
+    return;
+  }
+
+  if (message.method === 'textDocument/publishDiagnostics') {
+    showLanguageServerDiagnostics(message.params);
+  } else if (message.method === 'eblocks/clangdExited') {
+    stopLanguageServer();
+    setLanguageServerStatus('off', `clangd stopped (exit code ${message.params.code})`);
+  } else if (message.id !== undefined) {
+    // Requests from clangd (progress tokens, configuration) - nothing to configure
+    sendToLanguageServer({ id: message.id, result: null });
+  }
+}
+
+// Forget the current session - pending requests fail and its markers are removed
+function stopLanguageServer() {
+  if (!languageServer) return;
+
+  languageServer.pending.forEach(pending => pending.reject(new Error('clangd stopped')));
+  languageServer.documents.forEach(entry => clearTimeout(entry.timer));
+  languageServer = null;
+  monaco.editor.getModels().forEach(model => monaco.editor.setModelMarkers(model, 'clangd', []));
+  renderFileTabs();
+}
+
+// (Re)start clangd for the current files and board. Regenerates the compile database, so it is
+// called when tabs are added/removed, the project changes or another board is selected.
+async function startLanguageServer() {
+  if (!window.electronAPI || !monacoEditor) return;
+
+  const startId = ++languageServerStartId;
+  stopLanguageServer();
+  if (!isLanguageServerEnabled()) {
+    // Turned off in Settings - stop a clangd left running by the previous page
+    fetch('/api/clangd/stop', { method: 'POST' }).catch(() => {});
+    setLanguageServerStatus('disabled', '');
+    return;
+  }
+  setLanguageServerStatus('starting', 'Starting clangd...');
+
+  try {
+    const { code, files } = getProjectSources();
+    const response = await fetch('/api/clangd/start', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, files, board: getSelectedFQBN(), project: currentProjectName, projectPath: currentProjectPath })
+    });
+    const result = await response.json();
+    if (startId !== languageServerStartId) return;
+    if (!result.success) {
+      setLanguageServerStatus('off', `Live C++ errors are off: ${result.error}`);
+      return;
+    }
+
+    languageServer = { sketchDir: result.sketchDir, mainFile: result.mainFile, nextId: 1, pending: new Map(), documents: new Map() };
+    await languageServerRequest('initialize', {
+      processId: null,
+      rootUri: pathToFileUri(result.sketchDir),
+      capabilities: {
+        textDocument: {
+          synchronization: { didSave: false, dynamicRegistration: false },
+          completion: { completionItem: { snippetSupport: true, documentationFormat: ['markdown', 'plaintext'] } },
+          hover: { contentFormat: ['markdown', 'plaintext'] },
+          definition: { linkSupport: false },
+          publishDiagnostics: { relatedInformation: false }
+        }
+      }
+    });
+    if (startId !== languageServerStartId) return;
+    languageServerNotify('initialized', {});
+
+    projectFiles.forEach(file => {
+      const doc = getLanguageServerDocument(file);
+      if (!doc) return;
+      languageServer.documents.set(file.name, { uri: doc.uri, version: 1, lineOffset: doc.lineOffset, timer: null });
+      languageServerNotify('textDocument/didOpen', { textDocument: { uri: doc.uri, languageId: 'cpp', version: 1, text: doc.text } });
+    });
+    setLanguageServerStatus('ready', 'Live C++ errors and IntelliSense from clangd');
+  } catch (error) {
+    if (startId !== languageServerStartId) return;
+    console.error('Error starting clangd:', error);
+    stopLanguageServer();
+    setLanguageServerStatus('off', `Live C++ errors are off: ${error.message}`);
+  }
+}
+
+function scheduleLanguageServerRestart() {
+  clearTimeout(languageServerRestartTimer);
+  languageServerRestartTimer = setTimeout(startLanguageServer, LANGUAGE_SERVER_RESTART_DELAY);
+}
+
+// Send a tab's new content to clangd - debounced while typing, or straight away with `now`
+function syncLanguageServerDocument(model, now = false) {
+  if (!languageServer) return null;
+
+  const file = projectFiles.find(f => f.model === model);
+  const entry = file && languageServer.documents.get(file.name);
+  if (!entry) return null;
+
+  const send = () => {
+    entry.timer = null;
+    const doc = getLanguageServerDocument(file);
+    entry.version++;
+    entry.lineOffset = doc.lineOffset;
+    languageServerNotify('textDocument/didChange', {
+      textDocument: { uri: entry.uri, version: entry.version },
+      contentChanges: [{ text: doc.text }]
+    });
+  };
+
+  clearTimeout(entry.timer);
+  if (now) {
+    send();
+  } else {
+    entry.timer = setTimeout(send, LANGUAGE_SERVER_CHANGE_DELAY);
+  }
+  return entry;
+}
+
+// The clangd document and position for a place in the editor (flushes pending edits first)
+function getLanguageServerPosition(model, position) {
+  const entry = syncLanguageServerDocument(model, true);
+  if (!entry) return null;
+  return {
+    entry,
+    params: {
+      textDocument: { uri: entry.uri },
+      position: { line: position.lineNumber - 1 + entry.lineOffset, character: position.column - 1 }
+    }
+  };
+}
+
+function toMonacoRange(range, lineOffset) {
+  return new monaco.Range(
+    Math.max(1, range.start.line - lineOffset + 1), range.start.character + 1,
+    Math.max(1, range.end.line - lineOffset + 1), range.end.character + 1
+  );
+}
+
+function showLanguageServerDiagnostics({ uri, diagnostics }) {
+  const target = normalizeFileUri(uri);
+  const match = [...languageServer.documents].find(([, entry]) => normalizeFileUri(entry.uri) === target);
+  const file = match && getProjectFile(match[0]);
+  if (!file) return;
+
+  const { lineOffset } = match[1];
+  const severities = [null, monaco.MarkerSeverity.Error, monaco.MarkerSeverity.Warning, monaco.MarkerSeverity.Info, monaco.MarkerSeverity.Hint];
+  const markers = diagnostics
+    .filter(d => d.range.start.line >= lineOffset)
+    .map(d => ({
+      ...toMonacoRange(d.range, lineOffset),
+      severity: severities[d.severity] || monaco.MarkerSeverity.Error,
+      message: d.message,
+      source: 'clangd',
+      code: d.code !== undefined ? String(d.code) : undefined
+    }));
+  monaco.editor.setModelMarkers(file.model, 'clangd', markers);
+  renderFileTabs();
+}
+
+function registerLanguageServerFeatures() {
+  // Subscribed once here - restarts of the server reuse the same listener
+  window.electronAPI.onClangdMessage(handleLanguageServerMessage);
+
+  monaco.languages.registerCompletionItemProvider('cpp', {
+    triggerCharacters: ['.', '>', ':'],
+    async provideCompletionItems(model, position, context) {
+      const target = getLanguageServerPosition(model, position);
+      if (!target) return { suggestions: [] };
+
+      const result = await languageServerRequest('textDocument/completion', {
+        ...target.params,
+        context: { triggerKind: context.triggerKind + 1, triggerCharacter: context.triggerCharacter }
+      }).catch(() => null);
+      if (!result) return { suggestions: [] };
+
+      const word = model.getWordUntilPosition(position);
+      const wordRange = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      const items = Array.isArray(result) ? result : result.items;
+      return {
+        incomplete: !!result.isIncomplete,
+        suggestions: items.map(item => {
+          const edit = item.textEdit;
+          const editRange = edit && (edit.range || edit.replace);
+          return {
+            label: item.label.trim(),
+            kind: monaco.languages.CompletionItemKind[LSP_COMPLETION_KINDS[item.kind]] ?? monaco.languages.CompletionItemKind.Text,
+            detail: item.detail,
+            documentation: item.documentation && (typeof item.documentation === 'string' ? item.documentation : { value: item.documentation.value }),
+            insertText: edit ? edit.newText : (item.insertText || item.label.trim()),
+            insertTextRules: item.insertTextFormat === 2 ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+            filterText: item.filterText,
+            sortText: item.sortText,
+            range: editRange ? toMonacoRange(editRange, target.entry.lineOffset) : wordRange
+          };
+        })
+      };
+    }
+  });
+
+  monaco.languages.registerHoverProvider('cpp', {
+    async provideHover(model, position) {
+      const target = getLanguageServerPosition(model, position);
+      if (!target) return null;
+
+      const result = await languageServerRequest('textDocument/hover', target.params).catch(() => null);
+      if (!result || !result.contents) return null;
+
+      const contents = Array.isArray(result.contents) ? result.contents : [result.contents];
+      return {
+        range: result.range ? toMonacoRange(result.range, target.entry.lineOffset) : undefined,
+        contents: contents.map(content => ({ value: typeof content === 'string' ? content : content.value }))
+      };
+    }
+  });
+
+  monaco.languages.registerDefinitionProvider('cpp', {
+    async provideDefinition(model, position) {
+      const target = getLanguageServerPosition(model, position);
+      if (!target) return null;
+
+      const result = await languageServerRequest('textDocument/definition', target.params).catch(() => null);
+      if (!result) return null;
+
+      const locations = [];
+      for (const location of Array.isArray(result) ? result : [result]) {
+        const uri = normalizeFileUri(location.uri);
+        const match = [...languageServer.documents].find(([, entry]) => normalizeFileUri(entry.uri) === uri);
+        const file = match && getProjectFile(match[0]);
+        if (file) {
+          locations.push({ uri: file.model.uri, range: toMonacoRange(location.range, match[1].lineOffset) });
+          continue;
+        }
+
+        // Core and library headers open read-only in the peek view
+        const headerUri = monaco.Uri.parse(location.uri);
+        if (!monaco.editor.getModel(headerUri)) {
+          const header = await window.electronAPI.readClangdFile(headerUri.fsPath);
+          if (!header.success) continue;
+          monaco.editor.createModel(header.content, 'cpp', headerUri);
+        }
+        locations.push({ uri: headerUri, range: toMonacoRange(location.range, 0) });
+      }
+      return locations;
+    }
+  });
+
+  // Ctrl+click / F12 into another tab of the sketch
+  monaco.editor.registerEditorOpener({
+    openCodeEditor(source, resource, selectionOrPosition) {
+      const file = projectFiles.find(f => f.model.uri.toString() === resource.toString());
+      if (!file) return false;
+
+      const position = selectionOrPosition && ('startLineNumber' in selectionOrPosition
+        ? { lineNumber: selectionOrPosition.startLineNumber, column: selectionOrPosition.startColumn }
+        : selectionOrPosition);
+      jumpToEditorLine(position ? position.lineNumber : 1, position ? position.column : 1, file.name);
+      return true;
+    }
+  });
+}
+
+// E-Blocks wiring lint - board-aware warnings for the mistakes students make most often, shown
+// as Monaco markers with quick fixes: Serial instead of Serial2 on the Mega, pins that are not
+// on an E-Blocks port, and one port used for both inputs and outputs.
+const LINT_DELAY = 300;
+const LINT_SOURCE = 'E-Blocks';
+const lintTimers = new Map(); // Model URI -> pending lint timer
+const lintFixes = new Map(); // Model URI -> [{ range, message, fixes: [{ title, edits: [{ range, text }] }] }]
+
+// Blank out comments and string literals, keeping every offset in place
+function maskCommentsAndStrings(code) {
+  return code.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g, text => text.replace(/[^\n]/g, ' '));
+}
+
+function getEBlocksPort(pin) {
+  return Object.keys(EBLOCKS_PORT_PINS).find(port => EBLOCKS_PORT_PINS[port].includes(pin)) || null;
+}
+
+// Quick fixes that move a pin to the first free pin of each other E-Blocks port
+function suggestEBlocksPins(pin, usedPins, excludePort = null) {
+  return Object.entries(EBLOCKS_PORT_PINS)
+    .filter(([port]) => port !== excludePort)
+    .map(([port, pins]) => {
+      const free = pins.find(p => !usedPins.has(p));
+      if (free === undefined) return null;
+      return {
+        title: `Use pin ${free} (E-Blocks Port ${port}, P${port}${pins.indexOf(free)})`,
+        edits: [{ start: pin.start, end: pin.end, text: String(free) }]
+      };
+    })
+    .filter(Boolean);
+}
+
+// Problems in one file: [{ start, end, message, fixes: [{ title, edits: [{ start, end, text }] }] }] (offsets)
+function lintSketch(source, board) {
+  const code = maskCommentsAndStrings(source);
+  const lineOf = offset => source.slice(0, offset).split('\n').length;
+  const problems = [];
+  const isMega = board.startsWith('arduino:avr:mega');
+  const isEsp32 = board.startsWith('esp32:');
+
+  // Printing to a serial port that does not reach the serial monitor. On the ESP32 Serial2 is often
+  // a second UART (GPS, another board) next to Serial, so it is only flagged when Serial is unused.
+  const wrongSerial = isMega ? 'Serial' : isEsp32 && !/\bSerial\s*\./.test(code) ? 'Serial2' : null;
+  if (wrongSerial) {
+    const usbSerial = isMega ? 'Serial2' : 'Serial';
+    const uses = [...code.matchAll(new RegExp(`\\b${wrongSerial}\\s*\\.`, 'g'))];
+    const allEdits = uses.map(use => ({ start: use.index, end: use.index + wrongSerial.length, text: usbSerial }));
+    uses.forEach((use, i) => {
+      const fixes = [{ title: `Change to ${usbSerial}`, edits: [allEdits[i]] }];
+      if (uses.length > 1) {
+        fixes.push({ title: `Change all ${uses.length} uses of ${wrongSerial} to ${usbSerial}`, edits: allEdits });
+      }
+      problems.push({
+        start: use.index,
+        end: use.index + wrongSerial.length,
+        message: isMega
+          ? 'The E-Blocks 3 Mega connects USB to Serial2 - output on Serial will not appear in the serial monitor'
+          : 'On ESP32 boards the USB connection is Serial - output on Serial2 will not appear in the serial monitor',
+        fixes
+      });
+    });
+  }
+
+  // The port table is for the E-Blocks 3 Mega
+  if (!isMega) return problems;
+
+  // Pin numbers held in variables or #defines, e.g. `const int LED_PIN = 13;`
+  const pinNames = new Map();
+  for (const match of code.matchAll(/\b(?:(?:const|static|unsigned)\s+)*(?:int|byte|uint8_t|short|long)\s+(\w+)\s*=\s*(\d+)\s*;|#define\s+(\w+)\s+(\d+)\b/g)) {
+    const value = match[2] || match[4];
+    const start = match.index + match[0].lastIndexOf(value);
+    pinNames.set(match[1] || match[3], { pin: parseInt(value), start, end: start + value.length });
+  }
+
+  // Pins passed to the pin functions, as literals or through those names
+  const pinUses = [];
+  for (const match of code.matchAll(/\b(pinMode|digitalWrite|digitalRead|analogWrite)\s*\(\s*(\w+)\s*(?:,\s*(\w+))?/g)) {
+    const [text, fn, arg, mode] = match;
+    const argStart = match.index + text.indexOf(arg, fn.length);
+    const pin = /^\d+$/.test(arg)
+      ? { pin: parseInt(arg), start: argStart, end: argStart + arg.length }
+      : pinNames.get(arg);
+    if (pin) {
+      pinUses.push({ fn, mode, pin, start: match.index, end: match.index + text.length, argStart, argEnd: argStart + arg.length });
+    }
+  }
+  const usedPins = new Set(pinUses.map(use => use.pin.pin));
+
+  const portList = Object.keys(EBLOCKS_PORT_PINS).join(' or ');
+  const portUses = {}; // Port -> { input: [uses], output: [uses] }
+  const addPortUse = (port, direction, use) => {
+    portUses[port] = portUses[port] || { input: [], output: [] };
+    portUses[port][direction].push(use);
+  };
+
+  pinUses.forEach(use => {
+    const port = getEBlocksPort(use.pin.pin);
+    if (!port) {
+      problems.push({
+        start: use.argStart,
+        end: use.argEnd,
+        message: `Pin ${use.pin.pin} is not on E-Blocks Port ${portList} - a board plugged into an E-Blocks port is not connected to it`,
+        fixes: suggestEBlocksPins(use.pin, usedPins)
+      });
+    } else if (use.fn === 'pinMode' && use.mode) {
+      const direction = use.mode === 'OUTPUT' ? 'output' : /^INPUT/.test(use.mode) ? 'input' : null;
+      if (direction) addPortUse(port, direction, use);
+    }
+  });
+
+  // Ports with any pin set to output, through DDRx or pinMode. Writing PORTx on a port that is
+  // all inputs only switches on the pull-ups, so that is not an output use.
+  const outputPorts = new Set(Object.keys(portUses).filter(port => portUses[port].output.length > 0));
+  for (const match of code.matchAll(/\bDDR([A-L])\s*[|^]?=(?!=)\s*(0x[0-9a-fA-F]+|0b[01]+|\d+)?/g)) {
+    const bits = match[2] ? Number(match[2]) : NaN;
+    if (bits !== 0) outputPorts.add(match[1]);
+  }
+
+  // Whole-port register access: DDRx = 0xFF / 0x00, PORTx = ..., reading PINx
+  for (const match of code.matchAll(/\b(DDR|PORT|PIN)([A-L])\b(\s*[|&^]?=(?!=))?/g)) {
+    const [text, register, port, assignment] = match;
+    if (!EBLOCKS_PORT_PINS[port]) continue;
+
+    const use = { start: match.index, end: match.index + register.length + 1 };
+    if (register === 'PIN') {
+      addPortUse(port, 'input', use);
+    } else if (register === 'PORT' && assignment && outputPorts.has(port)) {
+      addPortUse(port, 'output', use);
+    } else if (register === 'DDR' && assignment) {
+      const value = code.slice(match.index + text.length).match(/^\s*(0x[0-9a-fA-F]+|0b[01]+|\d+)/);
+      const bits = value ? Number(value[1]) : NaN;
+      if (bits === 0) addPortUse(port, 'input', use);
+      else if (bits === 0xFF) addPortUse(port, 'output', use);
+    }
+  }
+
+  Object.entries(portUses).forEach(([port, { input, output }]) => {
+    if (input.length === 0 || output.length === 0) return;
+
+    const lines = uses => {
+      const numbers = [...new Set(uses.map(use => lineOf(use.start)))];
+      return `${numbers.length === 1 ? 'line' : 'lines'} ${numbers.join(', ')}`;
+    };
+    const message = `Port ${port} is used for inputs (${lines(input)}) and outputs (${lines(output)}) - ` +
+      'an E-Blocks board on one port is either inputs (switches) or outputs (LEDs)';
+    [...input, ...output].forEach(use => {
+      problems.push({
+        start: use.start,
+        end: use.end,
+        message,
+        fixes: use.pin ? suggestEBlocksPins(use.pin, usedPins, port) : []
+      });
+    });
+  });
+
+  return problems;
+}
+
+function offsetsToRange(model, start, end) {
+  const from = model.getPositionAt(start);
+  const to = model.getPositionAt(end);
+  return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+}
+
+function lintModel(model) {
+  if (model.isDisposed()) return;
+
+  const fixes = [];
+  const markers = lintSketch(model.getValue(), getSelectedFQBN()).map(problem => {
+    const range = offsetsToRange(model, problem.start, problem.end);
+    fixes.push({
+      range,
+      message: problem.message,
+      fixes: problem.fixes.map(fix => ({
+        title: fix.title,
+        edits: fix.edits.map(edit => ({ range: offsetsToRange(model, edit.start, edit.end), text: edit.text }))
+      }))
+    });
+    return { ...range, severity: monaco.MarkerSeverity.Warning, message: problem.message, source: LINT_SOURCE };
+  });
+
+  lintFixes.set(model.uri.toString(), fixes);
+  monaco.editor.setModelMarkers(model, 'eblocks-lint', markers);
+}
+
+function scheduleLint(model) {
+  const key = model.uri.toString();
+  clearTimeout(lintTimers.get(key));
+  lintTimers.set(key, setTimeout(() => {
+    lintTimers.delete(key);
+    lintModel(model);
+  }, LINT_DELAY));
+}
+
+// Re-check every tab - the rules depend on the selected board
+function lintProjectFiles() {
+  projectFiles.forEach(file => lintModel(file.model));
+}
+
+function registerEBlocksLint() {
+  monaco.languages.registerCodeActionProvider('cpp', {
+    provideCodeActions(model, range, context) {
+      const entries = lintFixes.get(model.uri.toString()) || [];
+      const actions = [];
+      context.markers
+        .filter(marker => marker.source === LINT_SOURCE)
+        .forEach(marker => {
+          const entry = entries.find(e => e.message === marker.message &&
+            e.range.startLineNumber === marker.startLineNumber && e.range.startColumn === marker.startColumn &&
+            e.range.endLineNumber === marker.endLineNumber && e.range.endColumn === marker.endColumn);
+          if (!entry) return;
+
+          entry.fixes.forEach((fix, index) => {
+            actions.push({
+              title: fix.title,
+              kind: 'quickfix',
+              diagnostics: [marker],
+              isPreferred: index === 0,
+              edit: {
+                edits: fix.edits.map(edit => ({ resource: model.uri, textEdit: edit, versionId: model.getVersionId() }))
+              }
+            });
+          });
+        });
+      return { actions, dispose() {} };
+    }
+  }, { providedCodeActionKinds: ['quickfix'] });
+}
+
+// Code formatter - clang-format runs in the main process with the bundled house style
+function isFormatOnSaveEnabled() {
+  return localStorage.getItem('editor-format-on-save') === 'true';
+}
+
+// Format [{ name, content }] - resolves to the formatted files
+async function formatSources(files) {
+  const response = await fetch('/api/format', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ files })
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Formatting failed');
+  }
+  return result.files;
+}
+
+// One edit covering only the lines that changed, so the cursor and undo history stay useful.
+// Returns null when the text is already formatted.
+function getFormattingEdit(model, text) {
+  const eol = model.getEOL();
+  const oldLines = model.getLinesContent();
+  const newLines = text.split(/\r?\n/);
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  if (start === oldEnd && start === newEnd) return null;
+
+  const replacement = newLines.slice(start, newEnd);
+  if (oldEnd < oldLines.length) {
+    // Whole lines, each ending with a line break
+    return { range: new monaco.Range(start + 1, 1, oldEnd + 1, 1), text: replacement.map(line => line + eol).join('') };
+  }
+  // The change runs to the end of the file
+  if (start === 0) {
+    return { range: model.getFullModelRange(), text: replacement.join(eol) };
+  }
+  const lastLine = oldLines.length;
+  return {
+    range: new monaco.Range(start, model.getLineMaxColumn(start), lastLine, model.getLineMaxColumn(lastLine)),
+    text: replacement.map(line => eol + line).join('')
+  };
+}
+
+// Format every tab of the project - from the editor's context menu, and before saving with format-on-save
+async function formatProject({ quiet = false } = {}) {
+  if (!monacoEditor) return false;
+
+  try {
+    const formatted = await formatSources(projectFiles.map(file => ({ name: file.name, content: file.model.getValue() })));
+    let changed = 0;
+    formatted.forEach(result => {
+      const file = getProjectFile(result.name);
+      const edit = file && getFormattingEdit(file.model, result.content);
+      if (!edit) return;
+      file.model.pushStackElement();
+      file.model.pushEditOperations([], [edit], () => null);
+      file.model.pushStackElement();
+      changed++;
+    });
+
+    if (!quiet) {
+      showUploadStatus('success', changed === 0 ? 'Code is already formatted' : `Formatted ${changed} file${changed === 1 ? '' : 's'}`);
+    }
+    return true;
+  } catch (error) {
+    showUploadStatus('error', `Could not format: ${error.message}`);
+    return false;
+  }
+}
+
+function registerFormatter() {
+  // Format Document (Shift+Alt+F and the context menu) for the tab being edited
+  monaco.languages.registerDocumentFormattingEditProvider('cpp', {
+    displayName: 'clang-format (E-Blocks style)',
+    async provideDocumentFormattingEdits(model) {
+      const file = projectFiles.find(f => f.model === model);
+      if (!file) return [];
+
+      try {
+        const [formatted] = await formatSources([{ name: file.name, content: model.getValue() }]);
+        const edit = getFormattingEdit(model, formatted.content);
+        return edit ? [edit] : [];
+      } catch (error) {
+        showUploadStatus('error', `Could not format: ${error.message}`);
+        return [];
+      }
+    }
+  });
+
+  monacoEditor.addAction({
+    id: 'eblocks.formatProject',
+    label: 'Format All Files in Project',
+    contextMenuGroupId: '1_modification',
+    contextMenuOrder: 1.6,
+    keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyMod.Alt | monaco.KeyCode.KeyF],
+    run: () => formatProject()
+  });
+}
+
+// Sketch project files - each tab is its own Monaco model. The main .ino is always first;
+// the server writes it as the sketch folder's main file and the rest next to it.
+const MAIN_SKETCH_FILE = 'sketch.ino';
+const SKETCH_FILE_PATTERN = /^(?:[A-Za-z0-9_][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_][A-Za-z0-9_.-]*\.(ino|h|hpp|c|cpp|S)$/;
+
+function getMainFile() {
+  return projectFiles[0] || null;
+}
+
+function getProjectFile(name) {
+  return projectFiles.find(file => file.name === name) || null;
+}
+
+function createFileModel(name, content) {
+  const model = monaco.editor.createModel(content, 'cpp', monaco.Uri.parse(`file:///sketch/${name}`));
+  model.onDidChangeContent(updateDirtyState);
+  model.onDidChangeContent(() => syncLanguageServerDocument(model));
+  model.onDidChangeContent(() => scheduleLint(model));
+  scheduleLint(model);
+  return model;
+}
+
+// Move a file's content into a new model under another name (model URIs cannot change)
+function replaceFileModel(file, newName) {
+  const oldName = file.name;
+  const oldModel = file.model;
+  file.model = createFileModel(newName, oldModel.getValue());
+  file.name = newName;
+  file.viewState = null;
+  file.savedVersionId = null;
+  if (activeFileName === oldName) {
+    activeFileName = newName;
+    monacoEditor.setModel(file.model);
+  }
+  oldModel.dispose();
+}
+
+// Replace the open project with a new set of files ([{ name, content }], main .ino first)
+function setProjectFiles(files) {
+  if (!monacoEditor) return;
+
+  projectFiles.forEach(file => file.model.dispose());
+  projectFiles = files.map(file => ({
+    name: file.name,
+    model: createFileModel(file.name, file.content),
+    viewState: null
+  }));
+  activeFileName = null;
+  switchToFile(projectFiles[0].name);
+  markProjectSaved();
+  scheduleLanguageServerRestart();
+}
+
+// Show a file in the editor, keeping the cursor/scroll position of the tab being left
+function switchToFile(name) {
+  const file = getProjectFile(name);
+  if (!file || !monacoEditor) return;
+
+  const current = getProjectFile(activeFileName);
+  if (current) {
+    current.viewState = monacoEditor.saveViewState();
+  }
+
+  activeFileName = name;
+  monacoEditor.setModel(file.model);
+  if (file.viewState) {
+    monacoEditor.restoreViewState(file.viewState);
+  }
+  monacoEditor.focus();
+  renderFileTabs();
+}
+
+// Files to send with a build: the main sketch as `code`, every other tab in `files`
+function getProjectSources() {
+  return {
+    code: getMainFile().model.getValue(),
+    files: projectFiles.slice(1).map(file => ({ name: file.name, content: file.model.getValue() }))
+  };
+}
+
+// Check a new file name - returns an error message or null
+function checkFileName(name, ignoreName = null) {
+  if (!SKETCH_FILE_PATTERN.test(name)) {
+    return 'Use letters, numbers, _ - . and end the name with .h, .cpp, .c or .ino';
+  }
+  if (projectFiles.some(file => file.name !== ignoreName && file.name.toLowerCase() === name.toLowerCase())) {
+    return `${name} already exists`;
+  }
+  // Builds write the main tab as sketch.ino, so no other tab may use that name
+  if (name.toLowerCase() === MAIN_SKETCH_FILE) {
+    return `${name} is reserved for the main sketch file`;
+  }
+  return null;
+}
+
+function addProjectFile() {
+  if (!monacoEditor) return;
+
+  const name = (prompt('New file name (e.g. motors.h or motors.cpp):') || '').trim();
+  if (!name) return;
+
+  const error = checkFileName(name);
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  // Start headers with an include guard so they can be included from several files
+  let content = '';
+  if (/\.(h|hpp)$/.test(name)) {
+    const guard = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    content = `#ifndef ${guard}\n#define ${guard}\n\n#include <Arduino.h>\n\n\n#endif\n`;
+  } else if (/\.(cpp|c)$/.test(name)) {
+    content = '#include <Arduino.h>\n\n';
+  }
+
+  projectFiles.push({ name, model: createFileModel(name, content), viewState: null, savedVersionId: null });
+  projectStructureChanged = true;
+  switchToFile(name);
+  updateDirtyState();
+  scheduleLanguageServerRestart();
+}
+
+function renameProjectFile(name) {
+  const file = getProjectFile(name);
+  if (!file) return;
+
+  if (file === getMainFile()) {
+    alert('The main sketch file is named after the project and cannot be renamed here');
+    return;
+  }
+
+  const newName = (prompt(`Rename ${name} to:`, name) || '').trim();
+  if (!newName || newName === name) return;
+
+  const error = checkFileName(newName, name);
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  replaceFileModel(file, newName);
+  projectStructureChanged = true;
+  renderFileTabs();
+  updateDirtyState();
+  scheduleLanguageServerRestart();
+}
+
+function deleteProjectFile(name) {
+  const file = getProjectFile(name);
+  if (!file || file === getMainFile()) return;
+
+  if (!confirm(`Delete ${name}? This cannot be undone.`)) {
+    return;
+  }
+
+  projectFiles = projectFiles.filter(f => f !== file);
+  if (activeFileName === name) {
+    activeFileName = null;
+    switchToFile(getMainFile().name);
+  }
+  file.model.dispose();
+  projectStructureChanged = true;
+  renderFileTabs();
+  updateDirtyState();
+  scheduleLanguageServerRestart();
+}
+
+// Draw the tab strip above the editor
+function renderFileTabs() {
+  const tabsEl = document.getElementById('editor-tabs');
+  if (!tabsEl || typeof monaco === 'undefined') return;
+
+  tabsEl.innerHTML = '';
+  projectFiles.forEach(file => {
+    const tab = document.createElement('div');
+    tab.className = 'editor-tab';
+    if (file.name === activeFileName) {
+      tab.classList.add('active');
+    }
+    const hasErrors = monaco.editor.getModelMarkers({ resource: file.model.uri })
+      .some(marker => marker.severity === monaco.MarkerSeverity.Error);
+    if (hasErrors) {
+      tab.classList.add('has-errors');
+    }
+    if (isFileDirty(file)) {
+      tab.classList.add('dirty');
+    }
+    tab.title = file === getMainFile() ? 'Main sketch file' : 'Double-click to rename';
+
+    const label = document.createElement('span');
+    label.textContent = file.name;
+    tab.appendChild(label);
+
+    if (file !== getMainFile()) {
+      const close = document.createElement('button');
+      close.className = 'editor-tab-close';
+      close.textContent = '×';
+      close.title = `Delete ${file.name}`;
+      close.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteProjectFile(file.name);
+      });
+      tab.appendChild(close);
+      tab.addEventListener('dblclick', () => renameProjectFile(file.name));
+    }
+
+    tab.addEventListener('click', () => switchToFile(file.name));
+    tabsEl.appendChild(tab);
+  });
+
+  const add = document.createElement('button');
+  add.className = 'editor-tab-add';
+  add.textContent = '+';
+  add.title = 'Add a file (.h / .cpp)';
+  add.addEventListener('click', addProjectFile);
+  tabsEl.appendChild(add);
+}
+
+// Short summary of compiler errors for the status bar, e.g. "2 errors - line 12: 'foo' was not declared"
+function summarizeCompilerErrors(diagnostics) {
+  const errors = (diagnostics || []).filter(d => d.severity === 'error');
+  if (errors.length === 0) return null;
+
+  const first = errors.find(d => d.main) || errors[0];
+  const count = errors.length === 1 ? '1 error' : `${errors.length} errors`;
+  return `${count} - line ${first.line}: ${first.message}`;
+}
+
+// Show upload status
+function showUploadStatus(type, message) {
+  const statusEl = document.getElementById('upload-status');
+  statusEl.className = `upload-status ${type}`;
+  statusEl.textContent = message;
+  statusEl.style.display = 'block';
+
+  if (type === 'success') {
+    setTimeout(() => {
+      statusEl.style.display = 'none';
+    }, 5000);
+  }
+}
+
+// Project on disk - open/save go through the preload electronAPI bridge (native dialogs, file access)
+function isFileDirty(file) {
+  return file.model.getAlternativeVersionId() !== file.savedVersionId;
+}
+
+function isProjectDirty() {
+  return projectStructureChanged || projectFiles.some(isFileDirty);
+}
+
+// Remember the current content as saved
+function markProjectSaved() {
+  projectFiles.forEach(file => {
+    file.savedVersionId = file.model.getAlternativeVersionId();
+  });
+  savedFileNames = projectFiles.map(file => file.name);
+  projectStructureChanged = false;
+  lastDirtyState = null;
+  updateDirtyState();
+  clearAutosave();
+}
+
+// Refresh the tab markers, project name and window title - only when something actually changed
+function updateDirtyState() {
+  const state = `${projectStructureChanged}|${projectFiles.filter(isFileDirty).map(file => file.name).join('|')}`;
+  if (state === lastDirtyState) return;
+  lastDirtyState = state;
+
+  const dirty = isProjectDirty();
+  const name = currentProjectPath ? currentProjectName : 'Untitled';
+  document.title = `${name}${dirty ? ' •' : ''} - E-Blocks 3 Companion`;
+
+  const nameEl = document.getElementById('project-name');
+  if (nameEl) {
+    nameEl.textContent = `${name}${dirty ? ' •' : ''}`;
+    nameEl.title = currentProjectPath || 'Not saved yet';
+  }
+
+  window.electronAPI?.setProjectDirty(dirty);
+  renderFileTabs();
+}
+
+// Ask before throwing away unsaved changes - returns true when it is fine to continue
+function confirmDiscardChanges() {
+  if (!isProjectDirty()) return true;
+  const name = currentProjectPath ? currentProjectName : 'this sketch';
+  if (!confirm(`Discard the unsaved changes to ${name}?`)) {
+    return false;
+  }
+  clearAutosave();
+  return true;
+}
+
+// localStorage key for a per-project setting. Saved projects are keyed on their folder, so two
+// projects called "Blink" keep their own settings.
+function getProjectStorageKey(prefix, path = currentProjectPath, name = currentProjectName) {
+  return path ? `${prefix}-path:${path}` : `${prefix}-untitled:${name}`;
+}
+
+function setCurrentProject(path, name) {
+  // Carry the board options over to the new folder. An untitled sketch hands them over
+  // completely, so the next untitled sketch starts from the defaults.
+  const fromKey = getProjectStorageKey('board-options');
+  const toKey = getProjectStorageKey('board-options', path, name);
+  const options = localStorage.getItem(fromKey);
+  if (options && fromKey !== toKey) {
+    if (!localStorage.getItem(toKey)) {
+      localStorage.setItem(toKey, options);
+    }
+    if (!currentProjectPath) {
+      localStorage.removeItem(fromKey);
+    }
+  }
+
+  currentProjectPath = path;
+  currentProjectName = name;
+  lastDirtyState = null;
+  updateDirtyState();
+}
+
+// Open a sketch folder - from the open dialog, or directly when a path is given (recent projects)
+async function openProject(path = null) {
+  if (!window.electronAPI || !monacoEditor) return;
+  if (!confirmDiscardChanges()) return;
+
+  const result = await window.electronAPI.openProject(path);
+  if (result.cancelled) return;
+  if (!result.success) {
+    showUploadStatus('error', `Could not open project: ${result.error}`);
+    loadRecentProjects();
+    return;
+  }
+
+  currentProjectPath = result.path;
+  currentProjectName = result.name;
+  setProjectFiles(result.files);
+  loadBoardOptions();
+  loadRecentProjects();
+  showUploadStatus('success', `Opened ${result.name}`);
+}
+
+// Save into the current sketch folder (Save As when the project has no folder yet)
+async function saveProject() {
+  if (!window.electronAPI || !monacoEditor) return false;
+  if (!currentProjectPath) {
+    return saveProjectAs();
+  }
+
+  if (isFormatOnSaveEnabled()) {
+    await formatProject({ quiet: true });
+  }
+
+  const files = projectFiles.map(file => ({ name: file.name, content: file.model.getValue() }));
+  const removed = savedFileNames.filter(name => !getProjectFile(name));
+  const result = await window.electronAPI.saveProject({ path: currentProjectPath, files, removed });
+  if (!result.success) {
+    showUploadStatus('error', `Could not save project: ${result.error}`);
+    return false;
+  }
+
+  markProjectSaved();
+  loadRecentProjects();
+  recordHistoryVersion('save', `saved at ${formatHistoryTime(new Date())}`, files);
+  showUploadStatus('success', `Saved ${currentProjectName}`);
+  return true;
+}
+
+// Save into a new sketch folder. Arduino expects the main file to be named after the folder.
+async function saveProjectAs() {
+  if (!window.electronAPI || !monacoEditor) return false;
+
+  const suggestedName = currentProjectPath ? currentProjectName : 'sketch';
+  const location = await window.electronAPI.chooseProjectLocation(suggestedName);
+  if (!location.success) return false;
+
+  const mainName = `${location.name}.ino`;
+  if (getMainFile().name !== mainName) {
+    replaceFileModel(getMainFile(), mainName);
+  }
+
+  // Nothing to delete in the new folder
+  savedFileNames = [];
+  projectStructureChanged = true;
+  setCurrentProject(location.path, location.name);
+  scheduleLanguageServerRestart();
+  return saveProject();
+}
+
+// Fill the recent projects drop-down
+async function loadRecentProjects() {
+  const select = document.getElementById('recent-projects-select');
+  if (!select || !window.electronAPI) return;
+
+  const result = await window.electronAPI.getRecentProjects();
+  select.innerHTML = '<option value="">Recent...</option>';
+  (result.projects || []).forEach(project => {
+    const option = document.createElement('option');
+    option.value = project.path;
+    option.textContent = project.name;
+    option.title = project.path;
+    select.appendChild(option);
+  });
+  select.disabled = !result.projects || result.projects.length === 0;
+}
+
+// Autosave - while there are unsaved changes, snapshot every open buffer into the app data
+// folder (written by the main process) so the work survives a crash
+const AUTOSAVE_INTERVAL = 10000;
+
+function getAutosaveSignature() {
+  return projectFiles.map(file => `${file.name}:${file.model.getAlternativeVersionId()}`).join('|');
+}
+
+async function autosaveProject() {
+  if (!window.electronAPI || !monacoEditor || recoveryData || !isProjectDirty()) return;
+
+  const signature = getAutosaveSignature();
+  if (signature === autosaveSignature) return;
+
+  const result = await window.electronAPI.writeAutosave({
+    path: currentProjectPath,
+    name: currentProjectName,
+    files: projectFiles.map(file => ({ name: file.name, content: file.model.getValue() })),
+    savedFiles: savedFileNames
+  });
+  if (result.success) {
+    autosaveSignature = signature;
+  }
+}
+
+function clearAutosave() {
+  if (autosaveSignature === null || !window.electronAPI) return;
+  autosaveSignature = null;
+  window.electronAPI.clearAutosave();
+}
+
+// Crash recovery - show the autosave left behind by the last session, diffed against the saved files
+async function checkAutosaveRecovery() {
+  if (!window.electronAPI) return;
+
+  const result = await window.electronAPI.loadAutosave();
+  if (!result.success || !result.snapshot) return;
+
+  recoveryData = result;
+  const { snapshot, savedFiles } = result;
+  const name = snapshot.path ? snapshot.name : 'an unsaved sketch';
+  document.getElementById('recovery-summary').textContent =
+    `The app closed unexpectedly. Unsaved changes to ${name} were autosaved at ${new Date(snapshot.savedAt).toLocaleString()}.`;
+
+  const select = document.getElementById('recovery-file-select');
+  select.innerHTML = '';
+  snapshot.files.forEach(file => {
+    const option = document.createElement('option');
+    option.value = file.name;
+    if (!(file.name in savedFiles)) {
+      option.textContent = `${file.name} (new)`;
+    } else if (savedFiles[file.name] !== file.content) {
+      option.textContent = `${file.name} (changed)`;
+    } else {
+      option.textContent = file.name;
+    }
+    select.appendChild(option);
+  });
+
+  // Start on the first file that differs from the saved copy
+  const changed = snapshot.files.find(file => savedFiles[file.name] !== file.content) || snapshot.files[0];
+  select.value = changed.name;
+
+  document.getElementById('autosave-recovery').style.display = 'flex';
+  showRecoveryDiff(changed.name);
+}
+
+function showRecoveryDiff(name) {
+  if (!recoveryData) return;
+
+  const file = recoveryData.snapshot.files.find(f => f.name === name);
+  if (!file) return;
+
+  if (!recoveryDiffEditor) {
+    recoveryDiffEditor = monaco.editor.createDiffEditor(document.getElementById('recovery-diff'), {
+      theme: 'vs-dark',
+      readOnly: true,
+      automaticLayout: true,
+      minimap: { enabled: false },
+      scrollBeyondLastLine: false
+    });
+  }
+
+  // Saved file on the left, autosaved buffer on the right
+  const previous = recoveryDiffEditor.getModel();
+  recoveryDiffEditor.setModel({
+    original: monaco.editor.createModel(recoveryData.savedFiles[file.name] ?? '', 'cpp'),
+    modified: monaco.editor.createModel(file.content, 'cpp')
+  });
+  if (previous) {
+    previous.original.dispose();
+    previous.modified.dispose();
+  }
+}
+
+function closeAutosaveRecovery() {
+  document.getElementById('autosave-recovery').style.display = 'none';
+  if (recoveryDiffEditor) {
+    const models = recoveryDiffEditor.getModel();
+    recoveryDiffEditor.dispose();
+    if (models) {
+      models.original.dispose();
+      models.modified.dispose();
+    }
+    recoveryDiffEditor = null;
+  }
+  recoveryData = null;
+}
+
+function restoreRecoveredWork() {
+  if (!recoveryData) return;
+
+  const { snapshot, savedFiles } = recoveryData;
+  currentProjectPath = snapshot.path || null;
+  currentProjectName = snapshot.name || 'default';
+  setProjectFiles(snapshot.files);
+
+  // Anything that differs from the files on disk is unsaved again
+  projectFiles.forEach(file => {
+    if (savedFiles[file.name] !== file.model.getValue()) {
+      file.savedVersionId = null;
+    }
+  });
+  savedFileNames = snapshot.savedFiles || [];
+  projectStructureChanged = savedFileNames.join('|') !== projectFiles.map(file => file.name).join('|');
+  // The recovered snapshot stays on disk until the project is saved
+  autosaveSignature = '';
+  lastDirtyState = null;
+  updateDirtyState();
+
+  closeAutosaveRecovery();
+  loadBoardOptions();
+  showUploadStatus('success', 'Unsaved work restored - save the project to keep it');
+}
+
+function discardRecoveredWork() {
+  if (!confirm('Discard the recovered changes? They cannot be restored later.')) {
+    return;
+  }
+  window.electronAPI.clearAutosave();
+  closeAutosaveRecovery();
+}
+
+// Version history - the main process keeps a snapshot of the project for every save and
+// successful upload. The panel diffs any version against the current buffers and restores it.
+function getHistoryProject() {
+  return { path: currentProjectPath, name: currentProjectName };
+}
+
+function formatHistoryTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+async function recordHistoryVersion(kind, label, files) {
+  if (!window.electronAPI) return;
+
+  const result = await window.electronAPI.addHistoryVersion({ project: getHistoryProject(), kind, label, files });
+  if (!result.success) {
+    console.error('Could not record version history:', result.error);
+  }
+}
+
+// A version's files, with its main sketch renamed to the current main file (it changes on Save As)
+function getVersionFiles(version) {
+  return version.files.map((file, index) => index === 0 ? { ...file, name: getMainFile().name } : file);
+}
+
+async function openVersionHistory() {
+  if (!window.electronAPI || !monacoEditor) return;
+
+  document.getElementById('version-history').style.display = 'flex';
+  const listEl = document.getElementById('history-list');
+  listEl.innerHTML = '<div class="library-empty">Loading...</div>';
+
+  const result = await window.electronAPI.getHistory(getHistoryProject());
+  const versions = result.versions || [];
+  listEl.innerHTML = '';
+  if (versions.length === 0) {
+    listEl.innerHTML = '<div class="library-empty">No versions yet - one is recorded every time you save or upload</div>';
+    document.getElementById('history-restore-btn').disabled = true;
+    return;
+  }
+
+  versions.forEach(version => {
+    const item = document.createElement('div');
+    item.className = `history-item history-${version.kind}`;
+    item.dataset.id = version.id;
+
+    const label = document.createElement('div');
+    label.className = 'history-label';
+    label.textContent = version.label;
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = `${new Date(version.createdAt).toLocaleDateString()} - ${version.fileCount} file${version.fileCount === 1 ? '' : 's'}`;
+    item.appendChild(label);
+    item.appendChild(date);
+
+    item.addEventListener('click', () => selectHistoryVersion(version.id));
+    listEl.appendChild(item);
+  });
+
+  selectHistoryVersion(versions[0].id);
+}
+
+async function selectHistoryVersion(id) {
+  const result = await window.electronAPI.getHistoryVersion(getHistoryProject(), id);
+  if (!result.success) {
+    alert(result.error);
+    return;
+  }
+
+  historyVersion = result.version;
+  document.querySelectorAll('#history-list .history-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.id === id);
+  });
+  document.getElementById('history-restore-btn').disabled = false;
+
+  // Every file in either the version or the current project
+  const versionFiles = getVersionFiles(historyVersion);
+  const names = [...new Set([...projectFiles.map(file => file.name), ...versionFiles.map(file => file.name)])];
+  const select = document.getElementById('history-file-select');
+  select.innerHTML = '';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    const inVersion = versionFiles.find(file => file.name === name);
+    const current = getProjectFile(name);
+    if (!inVersion) {
+      option.textContent = `${name} (not in this version)`;
+    } else if (!current) {
+      option.textContent = `${name} (deleted since)`;
+    } else {
+      option.textContent = inVersion.content === current.model.getValue() ? name : `${name} (changed)`;
+    }
+    select.appendChild(option);
+  });
+
+  select.value = names.includes(activeFileName) ? activeFileName : names[0];
+  showHistoryDiff(select.value);
+}
+
+// Version on the left, current buffer on the right
+function showHistoryDiff(name) {
+  if (!historyVersion) return;
+
+  if (!historyDiffEditor) {
+    historyDiffEditor = monaco.editor.createDiffEditor(document.getElementById('history-diff'), {
+      theme: 'vs-dark',
+      readOnly: true,
+      automaticLayout: true,
+      minimap: { enabled: false },
+      scrollBeyondLastLine: false
+    });
+  }
+
+  const versionFile = getVersionFiles(historyVersion).find(file => file.name === name);
+  const current = getProjectFile(name);
+  const models = [monaco.editor.createModel(versionFile ? versionFile.content : '', 'cpp')];
+  if (!current) {
+    models.push(monaco.editor.createModel('', 'cpp'));
+  }
+
+  historyDiffEditor.setModel({
+    original: models[0],
+    modified: current ? current.model : models[1]
+  });
+  historyDiffModels.forEach(model => model.dispose());
+  historyDiffModels = models;
+}
+
+function closeVersionHistory() {
+  document.getElementById('version-history').style.display = 'none';
+  if (historyDiffEditor) {
+    historyDiffEditor.dispose();
+    historyDiffEditor = null;
+  }
+  historyDiffModels.forEach(model => model.dispose());
+  historyDiffModels = [];
+  historyVersion = null;
+}
+
+// Load a version into the editor. Edits go through the undo stack, and the current code is
+// recorded in the history first, so a restore can always be taken back.
+async function restoreHistoryVersion() {
+  if (!historyVersion) return;
+
+  const version = historyVersion;
+  if (!confirm(`Replace the code in the editor with the version ${version.label}?`)) {
+    return;
+  }
+
+  closeVersionHistory();
+  await recordHistoryVersion('backup', `before restoring "${version.label}" at ${formatHistoryTime(new Date())}`,
+    projectFiles.map(file => ({ name: file.name, content: file.model.getValue() })));
+
+  const versionFiles = getVersionFiles(version);
+  versionFiles.forEach(versionFile => {
+    const file = getProjectFile(versionFile.name);
+    if (!file) {
+      projectFiles.push({ name: versionFile.name, model: createFileModel(versionFile.name, versionFile.content), viewState: null, savedVersionId: null });
+      projectStructureChanged = true;
+    } else if (file.model.getValue() !== versionFile.content) {
+      file.model.pushEditOperations([], [{ range: file.model.getFullModelRange(), text: versionFile.content }], () => null);
+    }
+  });
+
+  // Tabs added after that version
+  const mainFile = getMainFile();
+  projectFiles = projectFiles.filter(file => {
+    if (file === mainFile || versionFiles.some(versionFile => versionFile.name === file.name)) {
+      return true;
+    }
+    file.model.dispose();
+    projectStructureChanged = true;
+    return false;
+  });
+
+  if (!getProjectFile(activeFileName)) {
+    activeFileName = null;
+  }
+  switchToFile(activeFileName || mainFile.name);
+  updateDirtyState();
+  scheduleLanguageServerRestart();
+  showUploadStatus('success', `Restored the version ${version.label} - the previous code is kept in the history`);
+}
+
+// Library Manager
+function openLibraryManager() {
+  const manager = document.getElementById('library-manager');
+  if (!manager) return;
+
+  manager.style.display = 'flex';
+  document.getElementById('library-search-input').focus();
+  loadInstalledLibraries();
 }
 
-// Get the reason why upload is disabled
-function getUploadDisabledReason() {
-  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
-  const port = portSelect ? portSelect.value : null;
-  const boardSelect = document.getElementById('editor-board-select');
-  const selectedBoardType = boardSelect ? boardSelect.value : null;
-  
-  // Check if port is selected
-  if (!port || port === '') {
-    return 'no-port';
+function closeLibraryManager() {
+  const manager = document.getElementById('library-manager');
+  if (manager) {
+    manager.style.display = 'none';
   }
-  
-  // Check connection status
-  const isFullyConnected = isConnected && selectedPort && 
-    (selectedBoardType === 'pic' ? selectedPort !== null : 
-     (detectedBoardFQBN && (
-       (selectedBoardType === 'arduino:avr:mega' && detectedBoardFQBN.startsWith('arduino:avr:mega')) ||
-       (selectedBoardType === 'esp32:esp32:esp32' && detectedBoardFQBN.startsWith('esp32:esp32')) ||
-       (detectedBoardFQBN === selectedBoardType || detectedBoardFQBN.startsWith(selectedBoardType + ':'))
-     )));
-  
-  if (!isFullyConnected) {
-    return 'board-disconnected';
+}
+
+// Show a status message inside the library manager
+function showLibraryStatus(type, message) {
+  const statusEl = document.getElementById('library-status');
+  if (!statusEl) return;
+
+  statusEl.className = `upload-status ${type}`;
+  statusEl.textContent = message;
+  statusEl.style.display = 'block';
+
+  if (type === 'success') {
+    setTimeout(() => {
+      statusEl.style.display = 'none';
+    }, 5000);
   }
-  
-  return null; // Not disabled
 }
 
-// Flash upload button warning
-function flashUploadWarning() {
-  const uploadBtn = document.getElementById('upload-btn');
-  const uploadStatus = document.getElementById('upload-status');
-  
-  if (!uploadBtn || !uploadStatus) return;
-  
-  const reason = getUploadDisabledReason();
-  if (!reason) return; // Button is enabled, no warning needed
-  
-  // Determine message based on reason
-  let message = '';
-  if (reason === 'no-port') {
-    message = 'No COM port selected';
-  } else if (reason === 'board-disconnected') {
-    message = 'E-Blocks board disconnected';
+// Build one row of the library list with an action button (Install/Remove)
+function createLibraryItem(library, actionLabel, onAction) {
+  const item = document.createElement('div');
+  item.className = 'library-item';
+
+  const info = document.createElement('div');
+  info.className = 'library-info';
+
+  const name = document.createElement('div');
+  name.className = 'library-name';
+  name.textContent = library.name;
+  if (library.version) {
+    const version = document.createElement('span');
+    version.className = 'library-version';
+    version.textContent = library.version;
+    name.appendChild(version);
   }
-  
-  // Add flash class to button
-  uploadBtn.classList.add('flash-warning');
-  
-  // Show warning message
-  uploadStatus.className = 'upload-status error';
-  uploadStatus.textContent = message;
-  uploadStatus.style.display = 'block';
-  
-  // Remove flash class after animation completes
-  setTimeout(() => {
-    uploadBtn.classList.remove('flash-warning');
-  }, 1500);
-  
-  // Hide warning message after animation
-  setTimeout(() => {
-    uploadStatus.style.display = 'none';
-  }, 2000);
+
+  const sentence = document.createElement('div');
+  sentence.className = 'library-sentence';
+  sentence.textContent = library.sentence || library.author || '';
+  sentence.title = sentence.textContent;
+
+  info.appendChild(name);
+  info.appendChild(sentence);
+
+  const button = document.createElement('button');
+  button.className = 'btn-sm btn-outline';
+  button.textContent = actionLabel;
+  button.addEventListener('click', () => onAction(button));
+
+  item.appendChild(info);
+  item.appendChild(button);
+  return item;
 }
 
-// Upload code
-async function uploadCode() {
-  if (!monacoEditor) {
-    showUploadStatus('error', 'Editor not ready');
+// Fill a library list element, or show a placeholder when empty
+function renderLibraryList(listEl, libraries, emptyText, actionLabel, onAction) {
+  listEl.innerHTML = '';
+
+  if (libraries.length === 0) {
+    listEl.innerHTML = `<div class="library-empty">${escapeHtml(emptyText)}</div>`;
     return;
   }
 
-  const code = monacoEditor.getValue();
-  const board = document.getElementById('editor-board-select').value;
-  const portSelect = document.getElementById('com-port-select') || document.getElementById('settings-com-port-select');
-  const port = portSelect ? (portSelect.value || 'auto') : 'auto';
+  libraries.forEach(library => {
+    listEl.appendChild(createLibraryItem(library, actionLabel, (button) => onAction(library, button)));
+  });
+}
 
-  // Check if port is selected
-  if (!portSelect || !portSelect.value || portSelect.value === '') {
-    flashPortWarning();
-    showUploadStatus('error', 'Please select a COM port first');
-    return;
+async function loadInstalledLibraries() {
+  const listEl = document.getElementById('library-installed');
+  if (!listEl) return;
+
+  try {
+    const response = await fetch('/api/libraries');
+    const result = await response.json();
+
+    if (result.success) {
+      renderLibraryList(listEl, result.libraries, 'No libraries installed', 'Remove', uninstallLibrary);
+    } else {
+      renderLibraryList(listEl, [], result.error || 'Could not list libraries');
+    }
+  } catch (error) {
+    console.error('Error loading libraries:', error);
+    renderLibraryList(listEl, [], 'Could not list libraries');
   }
+}
 
-  if (!code.trim()) {
-    showUploadStatus('error', 'Please enter some code to upload');
-    return;
+async function searchLibraries(query) {
+  const listEl = document.getElementById('library-search-results');
+  if (!listEl || !query.trim()) return;
+
+  listEl.innerHTML = '<div class="library-empty">Searching...</div>';
+
+  try {
+    const response = await fetch(`/api/libraries/search?q=${encodeURIComponent(query.trim())}`);
+    const result = await response.json();
+
+    if (result.success) {
+      renderLibraryList(listEl, result.libraries, `No libraries found for "${query}"`, 'Install', installLibrary);
+    } else {
+      renderLibraryList(listEl, [], result.error || 'Search failed');
+    }
+  } catch (error) {
+    console.error('Library search error:', error);
+    renderLibraryList(listEl, [], 'Search failed - check your internet connection');
   }
+}
 
-  const uploadBtn = document.getElementById('upload-btn');
-  uploadBtn.disabled = true;
-  uploadBtn.textContent = 'Compiling...';
-  showUploadStatus('info', 'Compiling code...');
+async function installLibrary(library, button) {
+  button.disabled = true;
+  button.textContent = 'Installing...';
+  showLibraryStatus('info', `Installing ${library.name}...`);
 
   try {
-    // Add a timeout wrapper
-    const uploadPromise = fetch('/api/upload', {
+    const response = await fetch('/api/libraries/install', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ code, board, port }),
-    }).then(res => res.json());
-    
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Upload timeout - this may take a while for first-time uploads')), 180000) // 3 minute timeout
-    );
-
-    const result = await Promise.race([uploadPromise, timeoutPromise]);
+      body: JSON.stringify({ name: library.name, version: library.version }),
+    });
+    const result = await response.json();
 
     if (result.success) {
-      uploadBtn.textContent = 'Upload Code';
-      showUploadStatus('success', result.message || 'Code uploaded successfully!');
-      if (result.port) {
-        updateConnectionStatus(true, result.port);
-      }
+      button.textContent = 'Installed';
+      showLibraryStatus('success', result.message);
+      loadInstalledLibraries();
     } else {
-      uploadBtn.textContent = 'Upload Code';
-      showUploadStatus('error', result.error || 'Upload failed');
+      button.disabled = false;
+      button.textContent = 'Install';
+      showLibraryStatus('error', result.error || 'Install failed');
     }
   } catch (error) {
-    uploadBtn.textContent = 'Upload Code';
-    console.error('Upload error:', error);
-    showUploadStatus('error', error.message || 'Upload failed - check console for details');
-  } finally {
-    uploadBtn.disabled = false;
+    button.disabled = false;
+    button.textContent = 'Install';
+    showLibraryStatus('error', error.message || 'Install failed');
   }
 }
 
-// Show upload status
-function showUploadStatus(type, message) {
-  const statusEl = document.getElementById('upload-status');
-  statusEl.className = `upload-status ${type}`;
-  statusEl.textContent = message;
-  statusEl.style.display = 'block';
+async function uninstallLibrary(library, button) {
+  if (!confirm(`Remove the ${library.name} library?`)) return;
 
-  if (type === 'success') {
-    setTimeout(() => {
-      statusEl.style.display = 'none';
-    }, 5000);
-  }
-}
+  button.disabled = true;
+  button.textContent = 'Removing...';
 
-// Save code to file
-function saveCode() {
-  if (!monacoEditor) return;
+  try {
+    const response = await fetch('/api/libraries/uninstall', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name: library.name }),
+    });
+    const result = await response.json();
 
-  const code = monacoEditor.getValue();
-  const blob = new Blob([code], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'sketch.ino';
-  a.click();
-  URL.revokeObjectURL(url);
+    if (result.success) {
+      showLibraryStatus('success', result.message);
+    } else {
+      showLibraryStatus('error', result.error || 'Remove failed');
+    }
+  } catch (error) {
+    showLibraryStatus('error', error.message || 'Remove failed');
+  } finally {
+    loadInstalledLibraries();
+  }
 }
 
-// Load code from file
-function loadCode() {
+// Install a library from a local .zip file (offline labs)
+function installLibraryZip() {
   const input = document.createElement('input');
   input.type = 'file';
-  input.accept = '.ino,.txt,.cpp,.c';
-  input.onchange = (e) => {
+  input.accept = '.zip';
+  input.onchange = async (e) => {
     const file = e.target.files[0];
-    if (file && monacoEditor) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        monacoEditor.setValue(event.target.result);
-      };
-      reader.readAsText(file);
+    if (!file) return;
+
+    showLibraryStatus('info', `Installing ${file.name}...`);
+
+    try {
+      const response = await fetch('/api/libraries/install-zip', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/zip',
+          'X-File-Name': file.name,
+        },
+        body: file,
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        showLibraryStatus('success', result.message);
+        loadInstalledLibraries();
+      } else {
+        showLibraryStatus('error', result.error || 'Install failed');
+      }
+    } catch (error) {
+      showLibraryStatus('error', error.message || 'Install failed');
     }
   };
   input.click();
@@ -659,6 +3566,24 @@ function addSerialLine(data) {
   parseComboBoardData(data);
 }
 
+// Add a divider line to the serial monitor (e.g. when the board resets)
+function addSerialDivider(text) {
+  const content = document.getElementById('monitor-content');
+  if (!content) return;
+  const empty = content.querySelector('.monitor-empty');
+  if (empty) empty.remove();
+
+  const line = document.createElement('div');
+  line.className = 'monitor-line monitor-divider';
+  line.textContent = text;
+  content.appendChild(line);
+
+  const autoscroll = document.getElementById('autoscroll-checkbox');
+  if (!autoscroll || autoscroll.checked) {
+    content.scrollTop = content.scrollHeight;
+  }
+}
+
 // Clear serial monitor
 function clearSerialMonitor() {
   const content = document.getElementById('monitor-content');
@@ -690,6 +3615,132 @@ async function sendSerialData(data) {
   }
 }
 
+// Board options chosen for this project - { baseFqbn: { option: value } }
+function loadSavedBoardOptions() {
+  try {
+    return JSON.parse(localStorage.getItem(getProjectStorageKey('board-options'))) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Full FQBN for builds: the selected board plus its non-default options (vendor:arch:board:key=value,...).
+// Defaults are left out so the plain FQBN - and its build cache - is used until something is changed.
+function getSelectedFQBN() {
+  const board = document.getElementById('editor-board-select').value;
+  const saved = loadSavedBoardOptions()[board] || {};
+  const details = boardDetailsCache[board];
+
+  const pairs = Object.entries(saved).filter(([key, value]) => {
+    if (!details || !details.coreInstalled) return true;
+    const option = details.options.find(o => o.option === key);
+    if (!option || !option.values.some(v => v.value === value)) return false;
+    const defaultValue = option.values.find(v => v.selected);
+    return !defaultValue || defaultValue.value !== value;
+  }).map(([key, value]) => `${key}=${value}`);
+
+  return pairs.length > 0 ? `${board}:${pairs.join(',')}` : board;
+}
+
+// Fetch the selected board's config menus and render them as dropdowns
+async function loadBoardOptions() {
+  const board = document.getElementById('editor-board-select').value;
+  const panel = document.getElementById('board-options');
+  const optionsBtn = document.getElementById('board-options-btn');
+  if (!panel || !optionsBtn) return;
+
+  if (board === 'pic') {
+    panel.style.display = 'none';
+    optionsBtn.style.display = 'none';
+    return;
+  }
+  optionsBtn.style.display = '';
+
+  try {
+    if (!boardDetailsCache[board] || !boardDetailsCache[board].coreInstalled) {
+      const response = await fetch(`/api/boards/details?fqbn=${encodeURIComponent(board)}`);
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      boardDetailsCache[board] = result;
+    }
+  } catch (error) {
+    console.error('Error loading board options:', error);
+    panel.innerHTML = '<div class="board-options-note">Could not read board options</div>';
+    return;
+  }
+
+  renderBoardOptions(board);
+}
+
+function renderBoardOptions(board) {
+  const panel = document.getElementById('board-options');
+  const optionsBtn = document.getElementById('board-options-btn');
+  const details = boardDetailsCache[board];
+  const saved = loadSavedBoardOptions()[board] || {};
+
+  panel.innerHTML = '';
+
+  if (!details.coreInstalled) {
+    panel.innerHTML = '<div class="board-options-note">Board options appear once the board core is installed (it is installed on the first Verify or Upload)</div>';
+  } else if (details.options.length === 0) {
+    panel.innerHTML = '<div class="board-options-note">This board has no options</div>';
+  }
+
+  let changed = 0;
+  (details.options || []).forEach(option => {
+    const defaultValue = option.values.find(v => v.selected);
+    const current = option.values.some(v => v.value === saved[option.option])
+      ? saved[option.option]
+      : (defaultValue ? defaultValue.value : option.values[0].value);
+    if (defaultValue && current !== defaultValue.value) {
+      changed++;
+    }
+
+    const field = document.createElement('label');
+    field.className = 'board-option';
+    const name = document.createElement('span');
+    name.textContent = option.label;
+    const select = document.createElement('select');
+    select.className = 'editor-board-select';
+    option.values.forEach(value => {
+      const item = document.createElement('option');
+      item.value = value.value;
+      item.textContent = value.selected ? `${value.label} (default)` : value.label;
+      select.appendChild(item);
+    });
+    select.value = current;
+    select.addEventListener('change', () => saveBoardOption(board, option.option, select.value));
+
+    field.appendChild(name);
+    field.appendChild(select);
+    panel.appendChild(field);
+  });
+
+  if (details.coreInstalled && details.options.length > 0) {
+    const reset = document.createElement('button');
+    reset.className = 'btn-sm btn-outline';
+    reset.textContent = 'Reset to Defaults';
+    reset.addEventListener('click', () => {
+      const all = loadSavedBoardOptions();
+      delete all[board];
+      localStorage.setItem(getProjectStorageKey('board-options'), JSON.stringify(all));
+      renderBoardOptions(board);
+    });
+    panel.appendChild(reset);
+  }
+
+  optionsBtn.textContent = changed > 0 ? `Options (${changed})` : 'Options';
+}
+
+function saveBoardOption(board, key, value) {
+  const all = loadSavedBoardOptions();
+  all[board] = { ...(all[board] || {}), [key]: value };
+  localStorage.setItem(getProjectStorageKey('board-options'), JSON.stringify(all));
+  renderBoardOptions(board);
+}
+
 // Update board image based on selected board type
 function updateBoardImage() {
   const boardSelect = document.getElementById('editor-board-select');
@@ -787,7 +3838,8 @@ function setupResizer(resizerId, sidebarId) {
 }
 
 // Auto-connect to selected port
-async function autoConnectToPort(portPath) {
+// Options: baudRate reopens at a specific rate (and selects it), quiet keeps the current status message
+async function autoConnectToPort(portPath, { baudRate: requestedBaudRate = null, quiet = false } = {}) {
   if (!portPath || portPath === '') {
     updateConnectionStatus(false);
     flashPortWarning();
@@ -796,10 +3848,15 @@ async function autoConnectToPort(portPath) {
 
   try {
     updateConnectionStatus(false);
-    showUploadStatus('info', `Connecting to ${portPath}...`);
+    if (!quiet) {
+      showUploadStatus('info', `Connecting to ${portPath}...`);
+    }
 
     const baudRateSelect = document.getElementById('baud-rate-select') || document.getElementById('settings-baud-rate-select');
-    const baudRate = baudRateSelect ? baudRateSelect.value : '115200';
+    if (requestedBaudRate && baudRateSelect) {
+      baudRateSelect.value = String(requestedBaudRate);
+    }
+    const baudRate = requestedBaudRate || (baudRateSelect ? baudRateSelect.value : '115200');
     const response = await fetch('/api/connect', {
       method: 'POST',
       headers: {
@@ -815,14 +3872,16 @@ async function autoConnectToPort(portPath) {
       const detectedFQBN = portInfo ? portInfo.fqbn : null;
       
       updateConnectionStatus(true, portPath, detectedFQBN);
-      showUploadStatus('success', `Connected to ${portPath}`);
       // Start polling for serial data
       if (window.startSerialPolling && result.connectionId) {
         window.startSerialPolling(result.connectionId);
       }
-      setTimeout(() => {
-        document.getElementById('upload-status').style.display = 'none';
-      }, 3000);
+      if (!quiet) {
+        showUploadStatus('success', `Connected to ${portPath}`);
+        setTimeout(() => {
+          document.getElementById('upload-status').style.display = 'none';
+        }, 3000);
+      }
     } else {
       updateConnectionStatus(false);
       showUploadStatus('error', result.error || 'Connection failed');
@@ -3104,6 +6163,8 @@ function displayWorksheet(worksheetNumber) {
         div.innerHTML = code;
         code = div.textContent || div.innerText || code;
         
+        // Worksheet examples go into the main sketch file
+        switchToFile(getMainFile().name);
         monacoEditor.setValue(code);
         closeWorksheet();
         showUploadStatus('success', 'Example code loaded into editor');
@@ -3263,8 +6324,83 @@ function initializeApp() {
       });
     }
     
-    document.getElementById('save-btn').addEventListener('click', saveCode);
-    document.getElementById('load-btn').addEventListener('click', loadCode);
+    const cancelBuildBtn = document.getElementById('cancel-build-btn');
+    if (cancelBuildBtn) {
+      cancelBuildBtn.addEventListener('click', cancelBuild);
+    }
+
+    // Verify button works without a board connected
+    const verifyBtn = document.getElementById('verify-btn');
+    if (verifyBtn) {
+      verifyBtn.addEventListener('click', verifyCode);
+    }
+
+    const uploadFileBtn = document.getElementById('upload-file-btn');
+    if (uploadFileBtn) {
+      uploadFileBtn.addEventListener('click', uploadFirmwareFile);
+    }
+
+    // Project open/save
+    document.getElementById('open-project-btn').addEventListener('click', () => openProject());
+    document.getElementById('save-btn').addEventListener('click', saveProject);
+    document.getElementById('save-as-btn').addEventListener('click', saveProjectAs);
+    document.getElementById('recent-projects-select').addEventListener('change', (e) => {
+      const path = e.target.value;
+      e.target.value = '';
+      if (path) openProject(path);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 's') {
+        e.preventDefault();
+        e.shiftKey ? saveProjectAs() : saveProject();
+      } else if (key === 'o') {
+        e.preventDefault();
+        openProject();
+      }
+    });
+    // The menu reloads the page - check for unsaved changes before the menu's own handler runs
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#menu-settings, #menu-shop') && !confirmDiscardChanges()) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+    loadRecentProjects();
+
+    document.getElementById('format-btn').addEventListener('click', () => {
+      monacoEditor?.getAction('editor.action.formatDocument').run();
+    });
+
+    // Version history
+    document.getElementById('history-btn').addEventListener('click', openVersionHistory);
+    document.getElementById('version-history-close').addEventListener('click', closeVersionHistory);
+    document.getElementById('history-file-select').addEventListener('change', (e) => showHistoryDiff(e.target.value));
+    document.getElementById('history-restore-btn').addEventListener('click', restoreHistoryVersion);
+
+    // Crash recovery prompt
+    document.getElementById('recovery-file-select').addEventListener('change', (e) => showRecoveryDiff(e.target.value));
+    document.getElementById('recovery-restore-btn').addEventListener('click', restoreRecoveredWork);
+    document.getElementById('recovery-discard-btn').addEventListener('click', discardRecoveredWork);
+
+    document.getElementById('clean-build-btn').addEventListener('click', cleanBuild);
+    document.getElementById('export-build-btn').addEventListener('click', exportBuild);
+
+    // Board maintenance
+    document.getElementById('maintenance-btn').addEventListener('click', openBoardMaintenance);
+    document.getElementById('board-maintenance-close').addEventListener('click', closeBoardMaintenance);
+    document.getElementById('maintenance-erase-btn').addEventListener('click', () => runBoardMaintenance('erase'));
+    document.getElementById('maintenance-bootloader-btn').addEventListener('click', () => runBoardMaintenance('bootloader'));
+
+    // Library manager
+    document.getElementById('libraries-btn').addEventListener('click', openLibraryManager);
+    document.getElementById('library-manager-close').addEventListener('click', closeLibraryManager);
+    document.getElementById('library-zip-btn').addEventListener('click', installLibraryZip);
+    document.getElementById('library-search-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      searchLibraries(document.getElementById('library-search-input').value);
+    });
     document.getElementById('clear-monitor-btn').addEventListener('click', clearSerialMonitor);
 
     // Auto-connect when COM port is selected
@@ -3293,6 +6429,16 @@ function initializeApp() {
 
     // Update board image when board type changes
     document.getElementById('editor-board-select').addEventListener('change', updateBoardImage);
+
+    // Board options (partition scheme, CPU frequency...) for the selected board
+    document.getElementById('editor-board-select').addEventListener('change', loadBoardOptions);
+    document.getElementById('editor-board-select').addEventListener('change', scheduleLanguageServerRestart);
+    document.getElementById('editor-board-select').addEventListener('change', lintProjectFiles);
+    document.getElementById('board-options-btn').addEventListener('click', () => {
+      const panel = document.getElementById('board-options');
+      panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    });
+    loadBoardOptions();
     
     // Initialize board image on load
     updateBoardImage();